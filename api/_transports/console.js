@@ -0,0 +1,7 @@
+// Logs inquiries to stdout (the function log on Vercel). Safe default that never loses a lead silently.
+export const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (inquiry) => {
+    console.info('[contact] new inquiry', JSON.stringify(inquiry));
+  }
+});
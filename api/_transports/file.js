@@ -0,0 +1,15 @@
+import { appendFile, mkdir } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+
+// Appends one JSON line per inquiry. Meant for local development and tests;
+// the Vercel filesystem is read-only at runtime.
+export const createFileTransport = ({ path = process.env.CONTACT_FILE || '.data/inquiries.jsonl' } = {}) => {
+  const target = resolve(path);
+  return {
+    name: 'file',
+    send: async (inquiry) => {
+      await mkdir(dirname(target), { recursive: true });
+      await appendFile(target, `${JSON.stringify(inquiry)}\n`, 'utf8');
+    }
+  };
+};
@@ -0,0 +1,21 @@
+import { createConsoleTransport } from './console.js';
+import { createFileTransport } from './file.js';
+import { createWebhookTransport } from './webhook.js';
+
+// -----------------------------------------------------------------------------
+// CONTACT TRANSPORTS
+// -----------------------------------------------------------------------------
+// A transport is `{ name, send(inquiry) }`; `send` rejects when delivery fails.
+// Pick one with CONTACT_TRANSPORT, or register another factory here.
+
+const TRANSPORTS = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  webhook: createWebhookTransport
+};
+
+export const createTransport = (name = process.env.CONTACT_TRANSPORT || 'console', options) => {
+  const factory = TRANSPORTS[name];
+  if (!factory) throw new Error(`Unknown contact transport "${name}" (expected one of ${Object.keys(TRANSPORTS).join(', ')})`);
+  return factory(options);
+};
@@ -0,0 +1,22 @@
+// POSTs the inquiry as JSON to any endpoint (Slack workflow, Zapier, CRM intake, mail relay...)
+export const createWebhookTransport = ({
+  url = process.env.CONTACT_WEBHOOK_URL,
+  secret = process.env.CONTACT_WEBHOOK_SECRET
+} = {}) => {
+  if (!url) throw new Error('CONTACT_WEBHOOK_URL is required for the webhook transport');
+
+  return {
+    name: 'webhook',
+    send: async (inquiry) => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(secret ? { Authorization: `Bearer ${secret}` } : {})
+        },
+        body: JSON.stringify(inquiry)
+      });
+      if (!response.ok) throw new Error(`Webhook responded with ${response.status}`);
+    }
+  };
+};
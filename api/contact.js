@@ -0,0 +1,46 @@
+import { validateInquiry, isLikelySpam } from '../src/contact/validation.js';
+import { createTransport } from './_transports/index.js';
+
+// -----------------------------------------------------------------------------
+// POST /api/contact
+// -----------------------------------------------------------------------------
+
+// Framework-agnostic core so the Vercel function and the Vite dev middleware share it
+export const handleContact = async (payload, { transport, now = Date.now() }) => {
+  if (!payload || typeof payload !== 'object') {
+    return { status: 400, body: { ok: false, error: 'Expected a JSON body.' } };
+  }
+
+  // Pretend success so bots get no signal to adapt to
+  if (isLikelySpam(payload)) return { status: 200, body: { ok: true } };
+
+  const { values, errors, codes } = validateInquiry(payload);
+  if (Object.keys(errors).length) return { status: 422, body: { ok: false, errors, codes } };
+
+  try {
+    await transport.send({ ...values, receivedAt: new Date(now).toISOString() });
+  } catch (error) {
+    console.error(`[contact] ${transport.name} transport failed`, error);
+    return { status: 502, body: { ok: false, error: 'We could not deliver your message. Please try again.' } };
+  }
+
+  return { status: 200, body: { ok: true } };
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ ok: false, error: 'Method not allowed.' });
+  }
+
+  let transport;
+  try {
+    transport = createTransport();
+  } catch (error) {
+    console.error('[contact] transport misconfigured', error);
+    return res.status(500).json({ ok: false, error: 'Contact is temporarily unavailable.' });
+  }
+
+  const { status, body } = await handleContact(req.body, { transport });
+  return res.status(status).json(body);
+}
@@ -0,0 +1,80 @@
+import { appendFile, mkdir } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+
+// -----------------------------------------------------------------------------
+// POST /api/events
+// -----------------------------------------------------------------------------
+// Receiving end of the analytics "endpoint" sink: { events: [...] } batches from
+// src/analytics. Only the expected, flat shape gets through; anything else is a
+// 400 so a misbehaving client is noticed rather than stored.
+
+const MAX_EVENTS = 50;
+const MAX_VALUE_LENGTH = 200;
+const NAME_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+
+const isFlatProps = (props) => props && typeof props === 'object' && !Array.isArray(props) && Object.entries(props).every(
+  ([key, value]) => key.length <= 64 && (typeof value === 'number' || typeof value === 'boolean' || (typeof value === 'string' && value.length <= MAX_VALUE_LENGTH))
+);
+
+const normalizeEvent = (event) => {
+  if (!event || typeof event !== 'object') return null;
+  const { name, props = {}, path, time, session } = event;
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) return null;
+  if (!isFlatProps(props)) return null;
+  if (typeof path !== 'string' || !path.startsWith('/') || path.length > MAX_VALUE_LENGTH) return null;
+  if (typeof time !== 'number' || typeof session !== 'string' || session.length > 32) return null;
+  return { name, props, path, time, session };
+};
+
+// Logs to stdout (the function log on Vercel), or appends JSON lines to a file in development
+export const createEventStore = ({ file = process.env.ANALYTICS_FILE } = {}) => {
+  if (!file) return { record: async (events) => events.forEach((event) => console.info('[events]', JSON.stringify(event))) };
+
+  const target = resolve(file);
+  return {
+    record: async (events) => {
+      await mkdir(dirname(target), { recursive: true });
+      await appendFile(target, events.map((event) => `${JSON.stringify(event)}\n`).join(''), 'utf8');
+    }
+  };
+};
+
+// Framework-agnostic core so the Vercel function and the Vite dev middleware share it
+export const handleEvents = async (payload, { store, now = Date.now() }) => {
+  const events = Array.isArray(payload?.events) ? payload.events : null;
+  if (!events || events.length === 0 || events.length > MAX_EVENTS) {
+    return { status: 400, body: { ok: false, error: `Expected 1-${MAX_EVENTS} events.` } };
+  }
+
+  const normalized = events.map(normalizeEvent);
+  if (normalized.includes(null)) return { status: 400, body: { ok: false, error: 'Malformed event.' } };
+
+  try {
+    await store.record(normalized.map((event) => ({ ...event, receivedAt: new Date(now).toISOString() })));
+  } catch (error) {
+    console.error('[events] store failed', error);
+    return { status: 500, body: { ok: false } };
+  }
+
+  return { status: 202, body: { ok: true } };
+};
+
+// sendBeacon posts with a Blob body whose type Vercel may not parse as JSON
+const readPayload = (body) => {
+  if (typeof body !== 'string') return body;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return null;
+  }
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ ok: false, error: 'Method not allowed.' });
+  }
+
+  const { status, body } = await handleEvents(readPayload(req.body), { store: createEventStore() });
+  return res.status(status).json(body);
+}
@@ -0,0 +1,93 @@
+import { access, mkdir, readFile, readdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { FONTS, environmentUrl } from '../src/pwa/assets.js';
+import { THEMES } from '../src/theme/tokens.js';
+
+// -----------------------------------------------------------------------------
+// npm run assets
+// -----------------------------------------------------------------------------
+// Downloads the self-hosted fonts and HDR environments (src/pwa/assets.js) into
+// public/. Opt-in: dev and build never run it, and work without the files; the
+// site then falls back to system fonts and drei's CDN environments, and the
+// build says what is missing. Files already there are kept, and a failed
+// download only warns.
+
+const PUBLIC = fileURLToPath(new URL('../public', import.meta.url));
+const TIMEOUT = 30000;
+
+// Google only hands woff2 to browsers it recognises. The latin subset covers
+// the Latin-script copy; Devanagari and Arabic text uses system fonts anyway.
+const GOOGLE_FONTS = 'https://fonts.googleapis.com/css2?family=Playfair+Display:ital,wght@0,400;0,600;1,400&family=Space+Mono:wght@400;700&display=swap';
+const BROWSER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Where drei's `preset` environments come from
+const ENVIRONMENT_CDN = 'https://raw.githack.com/pmndrs/drei-assets/456060a26bbeb8fdf79326f224b6d99b8bcce736/hdri/';
+
+const exists = (file) => access(file).then(() => true, () => false);
+
+const request = async (url, headers = {}) => {
+  const response = await fetch(url, { headers, signal: AbortSignal.timeout(TIMEOUT) });
+  if (!response.ok) throw new Error(`${url} answered ${response.status}`);
+  return response;
+};
+
+const save = async (publicPath, response) => {
+  const file = path.join(PUBLIC, publicPath);
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, Buffer.from(await response.arrayBuffer()));
+};
+
+// { family, style, weight, url } for each latin @font-face in a Google Fonts stylesheet
+const latinFaces = (css) => [...css.matchAll(/\/\* latin \*\/\s*@font-face\s*\{([^}]*)\}/g)].map(([, rule]) => ({
+  family: rule.match(/font-family:\s*'([^']+)'/)?.[1],
+  style: rule.match(/font-style:\s*(\w+)/)?.[1],
+  weight: Number(rule.match(/font-weight:\s*(\d+)/)?.[1]),
+  url: rule.match(/url\((https:[^)]+)\)/)?.[1]
+}));
+
+const fetchFonts = async (missing) => {
+  const css = await (await request(GOOGLE_FONTS, { 'User-Agent': BROWSER_AGENT })).text();
+  const faces = latinFaces(css);
+  for (const font of missing) {
+    const face = faces.find(({ family, style, weight }) => family === font.family && style === font.style && weight === font.weight);
+    if (!face?.url) throw new Error(`Google Fonts has no latin ${font.family} ${font.weight} ${font.style}`);
+    await save(font.file, await request(face.url));
+  }
+};
+
+// Environments the built-in themes and the preset files in public/themes use
+const usedEnvironments = async () => {
+  const names = new Set(Object.values(THEMES).map(({ scene }) => scene.lighting.environment));
+  const dir = path.join(PUBLIC, 'themes');
+  const files = (await readdir(dir).catch(() => [])).filter((name) => name.endsWith('.json'));
+  for (const name of files) {
+    const environment = JSON.parse(await readFile(path.join(dir, name), 'utf8')).scene?.lighting?.environment;
+    if (environment) names.add(environment);
+  }
+  return [...names];
+};
+
+const main = async () => {
+  const failures = [];
+
+  const fonts = [];
+  for (const font of FONTS) if (!(await exists(path.join(PUBLIC, font.file)))) fonts.push(font);
+  if (fonts.length) {
+    await fetchFonts(fonts).catch((error) => failures.push(`fonts: ${error.message}`));
+  }
+
+  for (const name of await usedEnvironments()) {
+    const url = environmentUrl(name);
+    if (await exists(path.join(PUBLIC, url))) continue;
+    await request(`${ENVIRONMENT_CDN}${path.basename(url)}`)
+      .then((response) => save(url, response))
+      .catch((error) => failures.push(`${name} environment: ${error.message}`));
+  }
+
+  if (failures.length) {
+    console.warn(`[assets] could not download everything; the site falls back to CDN/system copies:\n  ${failures.join('\n  ')}`);
+  }
+};
+
+main();
@@ -0,0 +1,116 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useSyncExternalStore } from 'react';
+import { MotionConfig } from 'framer-motion';
+import { useMediaQuery } from '../input/media-query.js';
+
+// -----------------------------------------------------------------------------
+// ACCESSIBILITY MODE
+// -----------------------------------------------------------------------------
+// On when the OS asks for reduced motion, unless the visitor overrides it with
+// the toggle (remembered in localStorage). While on: framer-motion skips
+// transform animations, the scene and magnetic effects freeze, and the native
+// cursor is always shown. State is mirrored onto <html> as data attributes so
+// plain CSS can follow it:
+//   data-a11y="on|off"             accessibility mode
+//   data-input="mouse|keyboard|touch"  last input modality
+
+const STORAGE_KEY = 'vero:accessibility';
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+const AccessibilityContext = createContext({ enabled: false, reducedMotion: false, systemReducedMotion: false, toggle: () => {} });
+
+const preferenceListeners = new Set();
+
+const readPreference = () => {
+  try {
+    const value = localStorage.getItem(STORAGE_KEY);
+    return value === 'on' || value === 'off' ? value : null;
+  } catch {
+    return null;
+  }
+};
+
+const writePreference = (value) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, value);
+  } catch {
+    // Private mode / disabled storage: the choice just won't survive a reload
+  }
+  preferenceListeners.forEach((listener) => listener());
+};
+
+const subscribePreference = (listener) => {
+  preferenceListeners.add(listener);
+  return () => preferenceListeners.delete(listener);
+};
+
+// Stored choice, or null for "follow the OS". Prerendered HTML never has one,
+// so hydration starts from null and picks the stored value up straight after.
+// The in-memory copy keeps the toggle working when storage refuses the write.
+let memoryPreference = null;
+const getPreference = () => readPreference() ?? memoryPreference;
+const usePreference = () => useSyncExternalStore(subscribePreference, getPreference, () => null);
+
+// Tracks how the visitor is interacting so the custom cursor only replaces the
+// native one for an actual mouse
+const useInputModality = () => {
+  useEffect(() => {
+    const root = document.documentElement;
+    const set = (modality) => { if (root.dataset.input !== modality) root.dataset.input = modality; };
+
+    const onPointer = (e) => set(e.pointerType === 'mouse' ? 'mouse' : 'touch');
+    const onKeyDown = (e) => { if (e.key === 'Tab' || e.key.startsWith('Arrow')) set('keyboard'); };
+
+    window.addEventListener('pointermove', onPointer, { passive: true });
+    window.addEventListener('pointerdown', onPointer, { passive: true });
+    window.addEventListener('keydown', onKeyDown);
+    return () => {
+      window.removeEventListener('pointermove', onPointer);
+      window.removeEventListener('pointerdown', onPointer);
+      window.removeEventListener('keydown', onKeyDown);
+    };
+  }, []);
+};
+
+// Non-React code (router scrolling etc.) checks this instead of the context
+export const isReducedMotion = () => typeof document !== 'undefined' && document.documentElement.dataset.a11y === 'on';
+
+export const AccessibilityProvider = ({ children }) => {
+  const systemReducedMotion = useMediaQuery(REDUCED_MOTION_QUERY);
+  const preference = usePreference();
+  const enabled = preference ? preference === 'on' : systemReducedMotion;
+
+  useInputModality();
+
+  useEffect(() => {
+    document.documentElement.dataset.a11y = enabled ? 'on' : 'off';
+  }, [enabled]);
+
+  const toggle = useCallback(() => {
+    const next = enabled ? 'off' : 'on';
+    memoryPreference = next;
+    writePreference(next);
+  }, [enabled]);
+
+  const value = useMemo(() => ({ enabled, reducedMotion: enabled, systemReducedMotion, toggle }), [enabled, systemReducedMotion, toggle]);
+
+  return (
+    <AccessibilityContext.Provider value={value}>
+      <MotionConfig reducedMotion={enabled ? 'always' : 'never'}>
+        {children}
+      </MotionConfig>
+    </AccessibilityContext.Provider>
+  );
+};
+
+export const useAccessibility = () => useContext(AccessibilityContext);
+
+export const useReducedMotion = () => useContext(AccessibilityContext).reducedMotion;
+
+// Visually hidden until focused; first thing in the tab order
+export const SkipLinks = ({ links }) => (
+  <div>
+    {links.map(({ href, label }) => (
+      <a key={href} href={href} className="skip-link">{label}</a>
+    ))}
+  </div>
+);
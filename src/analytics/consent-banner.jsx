@@ -0,0 +1,48 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { setConsent, useConsent } from './index.js';
+import { useI18n } from '../i18n/index.jsx';
+
+// -----------------------------------------------------------------------------
+// CONSENT BANNER
+// -----------------------------------------------------------------------------
+// Shown until the visitor answers. Not a modal: the site stays usable while it
+// is up, and nothing is tracked in the meantime.
+
+const buttonStyle = { padding: '0.6rem 1.4rem', fontSize: '0.75rem', fontWeight: 'bold', textTransform: 'uppercase', letterSpacing: '0.1em', borderRadius: '9999px', cursor: 'pointer', fontFamily: 'Space Mono, monospace' };
+
+export const ConsentBanner = () => {
+  const consent = useConsent();
+  const { t } = useI18n();
+
+  return (
+    <AnimatePresence>
+      {consent === null && (
+        <motion.section
+          key="consent"
+          aria-labelledby="consent-title"
+          initial={{ opacity: 0, y: 40 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: 40 }}
+          transition={{ type: 'spring', damping: 24, stiffness: 200 }}
+          style={{ position: 'fixed', left: '1.5rem', right: '1.5rem', bottom: '1.5rem', zIndex: 50, maxWidth: '34rem', marginInlineStart: 'auto', padding: '1.5rem', boxSizing: 'border-box', background: 'var(--vero-overlay)', backdropFilter: 'blur(12px)', border: '1px solid var(--vero-line)', color: 'var(--vero-text)' }}
+        >
+          <h2 id="consent-title" style={{ margin: '0 0 0.5rem', color: 'var(--vero-accent)', fontFamily: 'Space Mono, monospace', textTransform: 'uppercase', letterSpacing: '0.2em', fontSize: '0.75rem', fontWeight: 400 }}>
+            {t('consent.title')}
+          </h2>
+          <p style={{ margin: '0 0 1.25rem', color: 'var(--vero-text-muted)', fontSize: '0.95rem', lineHeight: '1.6' }}>
+            {t('consent.body')}
+          </p>
+          <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap' }}>
+            <button type="button" onClick={() => setConsent('granted')} style={{ ...buttonStyle, background: 'var(--vero-accent)', color: 'var(--vero-on-accent)', border: 'none' }}>
+              {t('consent.accept')}
+            </button>
+            <button type="button" onClick={() => setConsent('denied')} style={{ ...buttonStyle, background: 'transparent', color: 'var(--vero-text)', border: '1px solid var(--vero-line-strong)' }}>
+              {t('consent.decline')}
+            </button>
+          </div>
+        </motion.section>
+      )}
+    </AnimatePresence>
+  );
+};
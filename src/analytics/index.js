@@ -0,0 +1,141 @@
+import { useEffect, useSyncExternalStore } from 'react';
+import { createSinks } from './sinks.js';
+
+// -----------------------------------------------------------------------------
+// ANALYTICS
+// -----------------------------------------------------------------------------
+// `track(name, props)` records an event, but only once the visitor has accepted
+// the consent banner; before that (and after a decline) calls are dropped, not
+// queued. No cookies and no stored identifiers: the session id lives in memory
+// for one page load, and the only thing persisted is the consent answer.
+// Events are batched and sent every few seconds, and whatever is left goes out
+// through sendBeacon when the page is hidden.
+//
+// Events: page_view, section_view, scroll_depth, nav_click, case_study_open,
+// post_open, cta_click, contact_open, contact_start, contact_invalid,
+// contact_submit, contact_success, contact_error.
+
+const CONSENT_KEY = 'vero:consent';
+const FLUSH_INTERVAL = 5000;
+const MAX_BATCH = 20;
+
+const session = Math.random().toString(36).slice(2, 10);
+
+const readConsent = () => {
+  try {
+    const value = localStorage.getItem(CONSENT_KEY);
+    if (value === 'granted' || value === 'denied') return value;
+  } catch {
+    // Unavailable storage means asking again next visit
+  }
+  // Global Privacy Control is an answer already
+  if (typeof navigator !== 'undefined' && navigator.globalPrivacyControl) return 'denied';
+  return null;
+};
+
+// 'granted' | 'denied' | null (not asked yet)
+let consent = typeof window === 'undefined' ? null : readConsent();
+const consentListeners = new Set();
+
+let queue = [];
+let timer = null;
+let sinks = null;
+
+const getSinks = () => {
+  if (!sinks) {
+    try {
+      sinks = createSinks();
+    } catch (error) {
+      console.warn('[analytics]', error.message);
+      sinks = [];
+    }
+  }
+  return sinks;
+};
+
+export const flush = ({ beacon = false } = {}) => {
+  clearTimeout(timer);
+  timer = null;
+  if (queue.length === 0) return;
+
+  const events = queue;
+  queue = [];
+  // Delivery is best effort; a failing sink must not disturb the page
+  getSinks().forEach((sink) => {
+    Promise.resolve()
+      .then(() => sink.send(events, { beacon }))
+      .catch(() => {});
+  });
+};
+
+const flushOnHide = () => {
+  if (document.visibilityState === 'hidden') flush({ beacon: true });
+};
+
+let attached = false;
+const attach = () => {
+  if (attached) return;
+  attached = true;
+  document.addEventListener('visibilitychange', flushOnHide);
+  window.addEventListener('pagehide', () => flush({ beacon: true }));
+};
+
+export const track = (name, props = {}) => {
+  if (consent !== 'granted') return;
+  attach();
+
+  queue.push({ name, props, path: window.location.pathname, time: Date.now(), session });
+  if (queue.length >= MAX_BATCH) flush();
+  else if (!timer) timer = setTimeout(flush, FLUSH_INTERVAL);
+};
+
+export const getConsent = () => consent;
+
+// `null` forgets the answer so the banner asks again
+export const setConsent = (value) => {
+  consent = value;
+  try {
+    if (value) localStorage.setItem(CONSENT_KEY, value);
+    else localStorage.removeItem(CONSENT_KEY);
+  } catch {
+    // The answer still holds for this visit
+  }
+  if (value !== 'granted') {
+    queue = [];
+    clearTimeout(timer);
+    timer = null;
+  }
+  consentListeners.forEach((listener) => listener());
+  // Count the page the visitor said yes on; its own page_view was dropped
+  if (value === 'granted') track('page_view');
+};
+
+const subscribeConsent = (listener) => {
+  consentListeners.add(listener);
+  return () => consentListeners.delete(listener);
+};
+
+// Prerendered HTML reports 'pending' so the banner never ships in the static markup
+export const useConsent = () => useSyncExternalStore(subscribeConsent, getConsent, () => 'pending');
+
+// 25 / 50 / 75 / 100% of the home page, each reported once per page load
+const SCROLL_MILESTONES = [25, 50, 75, 100];
+
+export const useScrollDepth = () => {
+  useEffect(() => {
+    const reached = new Set();
+    const onScroll = () => {
+      const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+      if (scrollable <= 0) return;
+      const depth = (window.scrollY / scrollable) * 100;
+      SCROLL_MILESTONES.forEach((milestone) => {
+        // A hair under the bottom still counts as the bottom
+        if (reached.has(milestone) || depth < milestone - 1) return;
+        reached.add(milestone);
+        track('scroll_depth', { percent: milestone });
+      });
+    };
+    window.addEventListener('scroll', onScroll, { passive: true });
+    return () => window.removeEventListener('scroll', onScroll);
+  }, []);
+};
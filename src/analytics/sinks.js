@@ -0,0 +1,63 @@
+// -----------------------------------------------------------------------------
+// ANALYTICS SINKS
+// -----------------------------------------------------------------------------
+// A sink is `{ name, send(events, { beacon }) }`. `beacon` is set when the page
+// is being hidden, where only navigator.sendBeacon reliably gets out. Pick sinks
+// with VITE_ANALYTICS_SINKS (comma separated), or register another factory here.
+// Each event is `{ name, props, path, time, session }`.
+
+const json = (body, type = 'application/json') => new Blob([JSON.stringify(body)], { type });
+
+const post = (url, blob, beacon) => {
+  if (beacon && navigator.sendBeacon?.(url, blob)) return Promise.resolve();
+  return fetch(url, { method: 'POST', body: blob, headers: { 'Content-Type': blob.type }, keepalive: true });
+};
+
+// Development default: nothing leaves the browser
+const createConsoleSink = () => ({
+  name: 'console',
+  send: async (events) => {
+    console.info('[analytics]', events);
+  }
+});
+
+// Batches to our own /api/events (see api/events.js)
+const createEndpointSink = ({ url = import.meta.env?.VITE_ANALYTICS_ENDPOINT || '/api/events' } = {}) => ({
+  name: 'endpoint',
+  send: (events, { beacon }) => post(url, json({ events }), beacon)
+});
+
+// Self-hosted Plausible: one request per event. text/plain keeps cross-origin
+// beacons free of a CORS preflight, which Plausible's own script relies on too.
+const createPlausibleSink = ({
+  host = import.meta.env?.VITE_PLAUSIBLE_HOST,
+  domain = import.meta.env?.VITE_PLAUSIBLE_DOMAIN || window.location.hostname
+} = {}) => {
+  if (!host) throw new Error('VITE_PLAUSIBLE_HOST is required for the plausible sink');
+  const url = `${host.replace(/\/+$/, '')}/api/event`;
+
+  return {
+    name: 'plausible',
+    send: (events, { beacon }) => Promise.all(events.map((event) => post(url, json({
+      name: event.name === 'page_view' ? 'pageview' : event.name,
+      url: `${window.location.origin}${event.path}`,
+      domain,
+      referrer: document.referrer || null,
+      props: event.props
+    }, 'text/plain'), beacon)))
+  };
+};
+
+const SINKS = {
+  console: createConsoleSink,
+  endpoint: createEndpointSink,
+  plausible: createPlausibleSink
+};
+
+export const createSinks = (names = import.meta.env?.VITE_ANALYTICS_SINKS || (import.meta.env?.DEV ? 'console' : 'endpoint')) => (
+  names.split(',').map((name) => name.trim()).filter(Boolean).map((name) => {
+    const factory = SINKS[name];
+    if (!factory) throw new Error(`Unknown analytics sink "${name}" (expected one of ${Object.keys(SINKS).join(', ')})`);
+    return factory();
+  })
+);
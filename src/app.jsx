@@ -1,52 +1,52 @@
-import React, { useRef, useState, useEffect, Suspense, useMemo } from 'react';
-import { Canvas, useFrame, useThree } from '@react-three/fiber';
-import { 
-  MeshTransmissionMaterial, 
-  Environment, 
-  Float, 
-  Sparkles,
-  Lightformer,
-  Icosahedron,
-  TorusKnot,
-  Sphere,
-  Capsule
-} from '@react-three/drei';
-import { motion } from 'framer-motion';
-import { ArrowRight, Menu } from 'lucide-react';
-import * as THREE from 'three';
-
-// -----------------------------------------------------------------------------
-// CONFIGURATION FOR SECTIONS
-// -----------------------------------------------------------------------------
-const SECTION_CONFIGS = {
-  hero: { 
-    shape: 'knot',
-    color: '#ffffff', 
-    config: { roughness: 0.05, ior: 1.5, chromaticAberration: 0.1 }
-  },
-  work: { 
-    shape: 'prism',
-    color: '#ffffff', 
-    config: { roughness: 0.0, ior: 2.0, chromaticAberration: 1.5 } // High refraction for 'gem' look
-  },
-  agency: { 
-    shape: 'capsule',
-    color: '#C67C4E', 
-    config: { roughness: 0.2, ior: 1.2, chromaticAberration: 0.2 }
-  },
-  contact: { 
-    shape: 'orb',
-    color: '#C67C4E', 
-    config: { roughness: 0.1, ior: 1.5, chromaticAberration: 0.5 }
-  }
-};
+import React, { Suspense, useCallback, useRef, useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ArrowRight, Menu, Accessibility } from 'lucide-react';
+import { getContent, getProject, getProjectSection } from './content/index.js';
+import { getPost, listPosts } from './content/posts.js';
+import { Scene } from './scene/scene.jsx';
+import { Cursor } from './cursor.jsx';
+import { Link, matchRoutes, useHashScroll, useRouter } from './router.jsx';
+import { CaseStudy } from './pages/case-study.jsx';
+import { NotFound } from './pages/not-found.jsx';
+import { Offline } from './pages/offline.jsx';
+import { Insights } from './pages/insights.jsx';
+import { Post } from './pages/post.jsx';
+import { ProjectPreview } from './pages/project-media.jsx';
+import { ContactProvider, useContact } from './contact/modal.jsx';
+import { holdSection, isHoldingSection } from './input/scroll.js';
+import { useSectionShortcuts } from './input/keyboard.js';
+import { RenderProfiler } from './dev/render-profiler.jsx';
+import { ErrorBoundary } from './errors/boundary.jsx';
+import { applyDocumentMeta, getPageMeta } from './seo.js';
+import { track, useScrollDepth } from './analytics/index.js';
+import { ConsentBanner } from './analytics/consent-banner.jsx';
+import { MenuOverlay } from './menu.jsx';
+import { AccessibilityProvider, SkipLinks, useAccessibility, useReducedMotion } from './a11y/accessibility.jsx';
+import { I18nProvider, translate, useI18n, useRememberedLocale } from './i18n/index.jsx';
+import { LOCALES, localizePath, splitLocale } from './i18n/locales.js';
+import { themeCss, useRequestedTheme, useTheme } from './theme/index.js';
+import { fontFaceCss } from './pwa/assets.js';
 
 // -----------------------------------------------------------------------------
 // CINEMATIC TITLE COMPONENT
 // -----------------------------------------------------------------------------
-const CinematicTitle = () => {
-  const text = "VERO MEDIA";
-  const letters = text.split("");
+// Scripts whose letters join or stack into one shape (Arabic, the Indic
+// scripts, Thai...) can't be cut into separately animated boxes without
+// breaking the glyphs, so titles in them animate word by word instead
+const SHAPED_SCRIPTS = /[\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}\p{Script=Devanagari}\p{Script=Bengali}\p{Script=Gurmukhi}\p{Script=Gujarati}\p{Script=Oriya}\p{Script=Tamil}\p{Script=Telugu}\p{Script=Kannada}\p{Script=Malayalam}\p{Script=Sinhala}\p{Script=Thai}\p{Script=Lao}\p{Script=Tibetan}\p{Script=Myanmar}\p{Script=Khmer}]/u;
+
+// Everything else splits into user-perceived characters, so accents and emoji stay whole
+const graphemes = (text) => (typeof Intl.Segmenter === 'function'
+  ? Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text), ({ segment }) => segment)
+  : Array.from(text));
+
+const splitTitle = (text) => (SHAPED_SCRIPTS.test(text) ? text.split(/(\s+)/).filter(Boolean) : graphemes(text));
+
+// Letters are presentational; assistive tech reads the whole word from aria-label
+const CinematicTitle = ({ text, id }) => {
+  const reducedMotion = useReducedMotion();
+  const shaped = SHAPED_SCRIPTS.test(text);
+  const letters = splitTitle(text);
   
   const container = {
     hidden: { opacity: 0 },
@@ -73,184 +73,54 @@ const CinematicTitle = () => {
   };
 
   return (
-    <motion.div 
-      style={{ display: 'flex', overflow: 'hidden' }}
+    <motion.h1 
+      id={id}
+      aria-label={text}
+      style={{ display: 'flex', overflow: 'hidden', margin: 0, fontWeight: 500 }}
       variants={container}
-      initial="hidden"
+      initial={reducedMotion ? false : "hidden"}
       animate="visible"
     >
       {letters.map((letter, index) => (
         <motion.span 
           key={index} 
+          aria-hidden="true"
           variants={child}
           style={{ 
             fontSize: '12vw', 
             lineHeight: '0.9', 
             fontWeight: 500, 
-            letterSpacing: '-0.05em', 
-            color: 'rgba(255,255,255,0.9)',
+            letterSpacing: shaped ? 'normal' : '-0.05em', 
+            color: 'var(--vero-text)',
             display: 'inline-block',
-            marginRight: letter === " " ? "2rem" : "0"
+            marginInlineEnd: /^\s+$/.test(letter) ? "2rem" : "0"
           }}
         >
           {letter}
         </motion.span>
       ))}
-    </motion.div>
+    </motion.h1>
   );
 };
 
 // -----------------------------------------------------------------------------
-// ERROR BOUNDARY
+// ERROR FALLBACK
 // -----------------------------------------------------------------------------
-class ErrorBoundary extends React.Component {
-  constructor(props) {
-    super(props);
-    this.state = { hasError: false, error: null };
-  }
-  static getDerivedStateFromError(error) { return { hasError: true, error }; }
-  render() {
-    if (this.state.hasError) {
-      return (
-        <div style={{ color: '#ff4444', padding: '20px', background: '#050505', height: '100vh', zIndex: 9999, position: 'relative' }}>
-          <h2>System Error</h2>
-          <pre>{this.state.error && this.state.error.toString()}</pre>
-        </div>
-      );
-    }
-    return this.props.children;
-  }
-}
-
-// -----------------------------------------------------------------------------
-// 3D SCENE & MORPHING LOGIC
-// -----------------------------------------------------------------------------
-
-// Reusable Material Component to ensure consistency
-const GlassMaterial = ({ config, color }) => (
-  <MeshTransmissionMaterial 
-    backside={false}
-    samples={6}
-    resolution={512}
-    thickness={0.25}
-    anisotropy={0.1}
-    clearcoat={1}
-    {...config}
-    color={color}
-    background={new THREE.Color('#050505')}
-  />
-);
-
-// Individual Shapes that scale in/out
-const MorphingShape = ({ activeSection, mouse }) => {
-  const group = useRef();
-  const { viewport } = useThree();
-  
-  // Refs for individual meshes
-  const knot = useRef();
-  const prism = useRef();
-  const capsule = useRef();
-  const orb = useRef();
-
-  useFrame((state, delta) => {
-    if (!group.current) return;
-
-    // Base Rotation
-    group.current.rotation.x += delta * 0.1;
-    group.current.rotation.y += delta * 0.15;
-    
-    // Mouse Interaction (Parallax)
-    group.current.position.x = THREE.MathUtils.lerp(group.current.position.x, mouse.x * 0.5 + 3, 0.05); // biased to right (+3)
-    group.current.position.y = THREE.MathUtils.lerp(group.current.position.y, mouse.y * 0.5, 0.05);
-
-    // Helper to animate scale
-    const animateScale = (ref, targetScale) => {
-      if (ref.current) {
-        ref.current.scale.lerp(new THREE.Vector3(targetScale, targetScale, targetScale), delta * 4);
-        // Rotate active ones slightly faster
-        if (targetScale > 0.1) {
-           ref.current.rotation.x += delta * 0.2;
-           ref.current.rotation.y += delta * 0.2;
-        }
-      }
-    };
-
-    // Determine target scales based on activeSection
-    const currentShape = SECTION_CONFIGS[activeSection]?.shape || 'knot';
-    const mobileRatio = viewport.width < 7 ? 0.6 : 1;
-
-    animateScale(knot, currentShape === 'knot' ? 3 * mobileRatio : 0);
-    animateScale(prism, currentShape === 'prism' ? 3.5 * mobileRatio : 0);
-    animateScale(capsule, currentShape === 'capsule' ? 2.5 * mobileRatio : 0);
-    animateScale(orb, currentShape === 'orb' ? 2.5 * mobileRatio : 0);
-  });
-
-  return (
-    <group ref={group} position={[3, 0, 0]}> {/* Positioned to the right side */}
-      
-      {/* HERO: TorusKnot */}
-      <Float speed={2} rotationIntensity={0.5} floatIntensity={0.5}>
-        <mesh ref={knot}>
-          <torusKnotGeometry args={[1, 0.35, 128, 32]} />
-          <GlassMaterial config={SECTION_CONFIGS.hero.config} color={SECTION_CONFIGS.hero.color} />
-        </mesh>
-      </Float>
-
-      {/* WORK: Icosahedron (Prism) */}
-      <Float speed={3} rotationIntensity={1} floatIntensity={0.5}>
-        <mesh ref={prism}>
-          <Icosahedron args={[1, 0]} />
-          <GlassMaterial config={SECTION_CONFIGS.work.config} color={SECTION_CONFIGS.work.color} />
-        </mesh>
-      </Float>
-
-      {/* AGENCY: Capsule */}
-      <Float speed={2} rotationIntensity={0.5} floatIntensity={0.5}>
-        <mesh ref={capsule}>
-          <Capsule args={[0.7, 2, 4, 16]} />
-          <GlassMaterial config={SECTION_CONFIGS.agency.config} color={SECTION_CONFIGS.agency.color} />
-        </mesh>
-      </Float>
-
-      {/* CONTACT: Sphere (Orb) */}
-      <Float speed={1.5} rotationIntensity={0.2} floatIntensity={1}>
-        <mesh ref={orb}>
-          <Sphere args={[1.2, 32, 32]} />
-          <GlassMaterial config={SECTION_CONFIGS.contact.config} color={SECTION_CONFIGS.contact.color} />
-        </mesh>
-      </Float>
-
-    </group>
-  );
-};
+// Whole-app fallback: details go to the error reporter, never onto the page
+const SystemError = () => {
+  const { t } = useI18n();
 
-const Lighting = () => (
-  <>
-    <Environment preset="city" />
-    <ambientLight intensity={0.5} />
-    <spotLight position={[10, 10, 10]} angle={0.15} penumbra={1} intensity={2} color="#C67C4E" />
-    <pointLight position={[-10, -10, -10]} intensity={1} color="#00bcd4" />
-    <Float speed={5} floatIntensity={2}>
-      <Lightformer form="ring" color="#C67C4E" intensity={2} scale={10} position={[-15, 0, -10]} target={[0, 0, 0]} />
-    </Float>
-  </>
-);
-
-const Scene = ({ mouse, activeSection }) => {
   return (
-    <div style={{ position: 'fixed', top: 0, left: 0, width: '100vw', height: '100dvh', zIndex: 0, background: '#050505' }}>
-      <Canvas 
-        dpr={[1, 1.5]} 
-        camera={{ position: [0, 0, 15], fov: 45 }} 
-        gl={{ alpha: true, antialias: false, preserveDrawingBuffer: true }}
-        onCreated={({ gl }) => { gl.setClearColor(new THREE.Color('#050505')); }}
-      >
-        <Suspense fallback={null}>
-          <Lighting />
-          <MorphingShape mouse={mouse} activeSection={activeSection} />
-        </Suspense>
-        <Sparkles count={40} scale={10} size={2} speed={0.4} opacity={0.5} color="#C67C4E" />
-      </Canvas>
+    <div role="alert" style={{ minHeight: '100vh', display: 'flex', flexDirection: 'column', justifyContent: 'center', padding: '6rem', background: 'var(--vero-background)', color: 'var(--vero-text)' }}>
+      <span style={{ color: 'var(--vero-accent)', fontFamily: 'Space Mono, monospace', textTransform: 'uppercase', letterSpacing: '0.2em', fontSize: '0.875rem', marginBottom: '1rem', display: 'block' }}>
+        {t('error.kicker')}
+      </span>
+      <h1 style={{ fontSize: '4rem', fontFamily: 'Playfair Display, serif', color: 'var(--vero-text)', margin: '0 0 2rem', lineHeight: '1.1', fontWeight: 400 }}>
+        {t('error.title')}
+      </h1>
+      <button type="button" onClick={() => window.location.reload()} style={{ alignSelf: 'flex-start', padding: 0, background: 'none', border: 'none', cursor: 'pointer', fontFamily: 'Space Mono, monospace', textTransform: 'uppercase', letterSpacing: '0.2em', fontSize: '0.875rem', color: 'var(--vero-text)', textDecoration: 'underline' }}>
+        {t('error.reload')}
+      </button>
     </div>
   );
 };
@@ -258,132 +128,108 @@ const Scene = ({ mouse, activeSection }) => {
 // -----------------------------------------------------------------------------
 // UI COMPONENTS
 // -----------------------------------------------------------------------------
-const Magnetic = ({ children }) => {
-  const ref = useRef(null);
-  const [position, setPosition] = useState({ x: 0, y: 0 });
-
-  const handleMouse = (e) => {
-    const { clientX, clientY } = e;
-    const { height, width, left, top } = ref.current.getBoundingClientRect();
-    const middleX = clientX - (left + width / 2);
-    const middleY = clientY - (top + height / 2);
-    setPosition({ x: middleX * 0.1, y: middleY * 0.1 });
-  };
-
-  const reset = () => setPosition({ x: 0, y: 0 });
+const Navigation = ({ activeSection, activeProject }) => {
+  const { t, locale, localize } = useI18n();
+  const { navItems } = getContent(locale);
+  const { openContact } = useContact();
+  const accessibility = useAccessibility();
+  const [menuOpen, setMenuOpen] = useState(false);
+  const menuButton = useRef(null);
 
   return (
-    <motion.div
-      ref={ref}
-      onMouseMove={handleMouse}
-      onMouseLeave={reset}
-      animate={{ x: position.x, y: position.y }}
-      transition={{ type: "spring", stiffness: 150, damping: 15, mass: 0.1 }}
-    >
-      {children}
-    </motion.div>
-  );
-};
-
-const Cursor = () => {
-  const [mousePosition, setMousePosition] = useState({ x: 0, y: 0 });
-  const [isHovered, setIsHovered] = useState(false);
-
-  useEffect(() => {
-    const mouseMove = (e) => setMousePosition({ x: e.clientX, y: e.clientY });
-    const handleMouseOver = (e) => {
-      if (e.target.tagName === 'A' || e.target.tagName === 'BUTTON' || e.target.closest('button')) {
-        setIsHovered(true);
-      } else {
-        setIsHovered(false);
-      }
-    };
-    window.addEventListener("mousemove", mouseMove);
-    window.addEventListener("mouseover", handleMouseOver);
-    return () => {
-      window.removeEventListener("mousemove", mouseMove);
-      window.removeEventListener("mouseover", handleMouseOver);
-    };
-  }, []);
-
-  return (
-    <motion.div 
-      style={{
-        position: 'fixed',
-        top: 0,
-        left: 0,
-        width: '16px',
-        height: '16px',
-        borderRadius: '50%',
-        backgroundColor: 'white',
-        mixBlendMode: 'difference',
-        pointerEvents: 'none',
-        zIndex: 9999
-      }}
-      animate={{
-        x: mousePosition.x - (isHovered ? 24 : 8),
-        y: mousePosition.y - (isHovered ? 24 : 8),
-        scale: isHovered ? 3 : 1,
-      }}
-      transition={{ type: "spring", stiffness: 500, damping: 28 }}
-    />
-  );
-};
+    <>
+      <nav aria-label={t('nav.label')} style={{ position: 'fixed', bottom: '2rem', left: '50%', transform: 'translateX(-50%)', zIndex: 50, display: 'flex', alignItems: 'center', gap: '1rem', padding: '0.5rem', background: 'var(--vero-tint)', borderRadius: '9999px', border: '1px solid var(--vero-line)', backdropFilter: 'blur(10px)' }}>
+        <button
+          data-cursor-magnetic
+          ref={menuButton}
+          type="button"
+          onClick={() => setMenuOpen(true)}
+          aria-label={t('nav.openMenu')}
+          aria-haspopup="dialog"
+          aria-expanded={menuOpen}
+          aria-controls={menuOpen ? 'site-menu' : undefined}
+          style={{ width: '2.5rem', height: '2.5rem', display: 'flex', alignItems: 'center', justifyContent: 'center', borderRadius: '9999px', background: 'transparent', color: 'var(--vero-text)', border: 'none', cursor: 'pointer' }}
+        >
+          <Menu size={18} aria-hidden="true" />
+        </button>
 
-const Navigation = () => {
-  return (
-    <div style={{ position: 'fixed', bottom: '2rem', left: '50%', transform: 'translateX(-50%)', zIndex: 50, display: 'flex', alignItems: 'center', gap: '1rem', padding: '0.5rem', background: 'rgba(255,255,255,0.05)', borderRadius: '9999px', border: '1px solid rgba(255,255,255,0.1)', backdropFilter: 'blur(10px)' }}>
-      <Magnetic>
-        <button style={{ width: '2.5rem', height: '2.5rem', display: 'flex', alignItems: 'center', justifyContent: 'center', borderRadius: '9999px', background: 'transparent', color: 'white', border: 'none', cursor: 'pointer' }}>
-          <Menu size={18} />
+        <button
+          data-cursor-magnetic
+          type="button"
+          onClick={accessibility.toggle}
+          aria-pressed={accessibility.enabled}
+          aria-label={t('nav.accessibility')}
+          title={t(accessibility.enabled ? 'nav.accessibilityOn' : 'nav.accessibilityOff')}
+          style={{ width: '2.5rem', height: '2.5rem', display: 'flex', alignItems: 'center', justifyContent: 'center', borderRadius: '9999px', background: accessibility.enabled ? 'var(--vero-accent-tint)' : 'transparent', color: accessibility.enabled ? 'var(--vero-accent)' : 'var(--vero-text)', border: 'none', cursor: 'pointer' }}
+        >
+          <Accessibility size={18} aria-hidden="true" />
         </button>
-      </Magnetic>
       
-      <div style={{ width: '1px', height: '1rem', background: 'rgba(255,255,255,0.2)' }}></div>
+        <div aria-hidden="true" style={{ width: '1px', height: '1rem', background: 'var(--vero-line-strong)' }}></div>
       
-      <nav style={{ display: 'flex', gap: '0.25rem' }}>
-        {['Work', 'Agency', 'Contact'].map((item) => (
-          <Magnetic key={item}>
-            <a href={`#${item.toLowerCase()}`} style={{ padding: '0.5rem 1.25rem', fontSize: '0.875rem', textTransform: 'uppercase', letterSpacing: '0.1em', color: 'rgba(255,255,255,0.7)', textDecoration: 'none', borderRadius: '9999px' }}>
-              {item}
-            </a>
-          </Magnetic>
-        ))}
-      </nav>
+        <div style={{ display: 'flex', gap: '0.25rem' }}>
+          {navItems.map((item) => {
+            const active = item.id === activeSection;
+            return (
+              <Link
+                key={item.id}
+                data-cursor-magnetic
+                to={localize(`/#${item.id}`)}
+                onClick={() => track('nav_click', { target: item.id, source: 'nav' })}
+                aria-current={active ? 'location' : undefined}
+                style={{ display: 'block', padding: '0.5rem 1.25rem', fontSize: '0.875rem', textTransform: 'uppercase', letterSpacing: '0.1em', color: active ? 'var(--vero-text)' : 'var(--vero-text-soft)', background: active ? 'var(--vero-line)' : 'transparent', textDecoration: 'none', borderRadius: '9999px', transition: 'background 0.3s, color 0.3s' }}
+              >
+                {item.label}
+              </Link>
+            );
+          })}
+        </div>
 
-      <div style={{ width: '1px', height: '1rem', background: 'rgba(255,255,255,0.2)' }}></div>
+        <div aria-hidden="true" style={{ width: '1px', height: '1rem', background: 'var(--vero-line-strong)' }}></div>
 
-      <Magnetic>
-        <button style={{ padding: '0.5rem 1.25rem', background: '#C67C4E', color: 'black', fontSize: '0.875rem', fontWeight: 'bold', textTransform: 'uppercase', letterSpacing: '0.1em', borderRadius: '9999px', border: 'none', cursor: 'pointer' }}>
-          Let's Talk
+        <button data-cursor-magnetic type="button" onClick={() => { track('cta_click', { label: "Let's Talk", source: 'nav' }); openContact(); }} aria-haspopup="dialog" style={{ padding: '0.5rem 1.25rem', background: 'var(--vero-accent)', color: 'var(--vero-on-accent)', fontSize: '0.875rem', fontWeight: 'bold', textTransform: 'uppercase', letterSpacing: '0.1em', borderRadius: '9999px', border: 'none', cursor: 'pointer' }}>
+          {t('nav.talk')}
         </button>
-      </Magnetic>
-    </div>
+      </nav>
+
+      {/* Rendered outside the transformed bar so `position: fixed` covers the viewport */}
+      <AnimatePresence onExitComplete={() => menuButton.current?.focus()}>
+        {menuOpen && (
+          <MenuOverlay
+            key="menu"
+            activeSection={activeSection}
+            activeProject={activeProject}
+            onClose={() => setMenuOpen(false)}
+          />
+        )}
+      </AnimatePresence>
+    </>
   );
 };
 
 // Modified Section to report visibility
 const Section = ({ title, subtitle, children, id, align = "left", onInView }) => {
   return (
-    <section id={id} style={{ minHeight: '100vh', display: 'flex', flexDirection: 'column', justifyContent: 'center', padding: '6rem', position: 'relative', zIndex: 10 }}>
+    <section id={id} aria-labelledby={`section-${id}-title`} style={{ minHeight: '100vh', display: 'flex', flexDirection: 'column', justifyContent: 'center', padding: '6rem', position: 'relative', zIndex: 10 }}>
       <motion.div
         onViewportEnter={() => onInView && onInView(id)}
         viewport={{ amount: 0.5 }} // Trigger when 50% visible
       >
-        <div style={{ maxWidth: '56rem', alignSelf: align === "right" ? "flex-end" : "flex-start", textAlign: align === "right" ? "right" : "left", marginLeft: align === "right" ? "auto" : "0" }}>
+        {/* Logical sides: "right" is the end of the reading direction, so RTL locales mirror it */}
+        <div style={{ maxWidth: '56rem', alignSelf: align === "right" ? "flex-end" : "flex-start", textAlign: align === "right" ? "end" : "start", marginInlineStart: align === "right" ? "auto" : "0" }}>
           <motion.div
             initial={{ opacity: 0, y: 50 }}
             whileInView={{ opacity: 1, y: 0 }}
             viewport={{ once: true, margin: "-20%" }}
             transition={{ duration: 0.8 }}
           >
-            <span style={{ color: '#C67C4E', fontFamily: 'Space Mono, monospace', textTransform: 'uppercase', letterSpacing: '0.2em', fontSize: '0.875rem', marginBottom: '1rem', display: 'block' }}>
+            <span style={{ color: 'var(--vero-accent)', fontFamily: 'Space Mono, monospace', textTransform: 'uppercase', letterSpacing: '0.2em', fontSize: '0.875rem', marginBottom: '1rem', display: 'block' }}>
               {subtitle}
             </span>
-            <h2 style={{ fontSize: '4rem', fontFamily: 'Playfair Display, serif', color: 'white', marginBottom: '2rem', lineHeight: '1.1' }}>
+            <h2 id={`section-${id}-title`} style={{ fontSize: '4rem', fontFamily: 'Playfair Display, serif', color: 'var(--vero-text)', marginBottom: '2rem', lineHeight: '1.1' }}>
               {title}
             </h2>
-            <div style={{ color: '#9ca3af', fontSize: '1.25rem', lineHeight: '1.625', maxWidth: '42rem', fontWeight: 300 }}>
+            <div style={{ color: 'var(--vero-text-muted)', fontSize: '1.25rem', lineHeight: '1.625', maxWidth: '42rem', fontWeight: 300 }}>
               {children}
             </div>
           </motion.div>
@@ -393,134 +239,289 @@ const Section = ({ title, subtitle, children, id, align = "left", onInView }) =>
   );
 };
 
+// -----------------------------------------------------------------------------
+// CONTENT RENDERING
+// -----------------------------------------------------------------------------
+const Hero = ({ section, onInView }) => (
+  <section 
+    id={section.id}
+    aria-labelledby={`section-${section.id}-title`}
+    style={{ height: '100vh', width: '100%', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', position: 'relative' }}
+  >
+    <motion.div 
+       onViewportEnter={() => onInView(section.id)}
+       viewport={{ amount: 0.6 }}
+       style={{ width: '100%', height: '100%', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center' }}
+    >
+      <div style={{ textAlign: 'center', zIndex: 10, mixBlendMode: 'exclusion' }}>
+        <CinematicTitle id={`section-${section.id}-title`} text={section.title} />
+        
+        {section.tagline && (
+          <motion.div 
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            transition={{ duration: 1, delay: 1.5 }}
+            style={{ marginTop: '2rem', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '1rem' }}
+          >
+            {section.tagline.map((item, index) => (
+              <React.Fragment key={item}>
+                {index > 0 && <div aria-hidden="true" style={{ width: '4px', height: '4px', background: 'var(--vero-accent)', borderRadius: '50%' }} />}
+                <span style={{ fontFamily: 'Space Mono, monospace', fontSize: '0.75rem', textTransform: 'uppercase', letterSpacing: '0.3em', color: 'var(--vero-text-soft)' }}>{item}</span>
+              </React.Fragment>
+            ))}
+          </motion.div>
+        )}
+      </div>
+      
+      {section.scrollHint && (
+        <div aria-hidden="true" style={{ position: 'absolute', bottom: '2.5rem', insetInlineStart: '6rem' }}>
+          <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-start', gap: '0.5rem' }}>
+              <span style={{ fontFamily: 'Space Mono, monospace', fontSize: '10px', color: 'var(--vero-text-subtle)', textTransform: 'uppercase' }}>{section.scrollHint}</span>
+              <div style={{ width: '1px', height: '3rem', background: 'linear-gradient(to bottom, var(--vero-accent), transparent)' }}></div>
+          </div>
+        </div>
+      )}
+    </motion.div>
+  </section>
+);
+
+// Rendered width of a grid card, for picking a poster from its srcset
+const CARD_SIZES = '(min-width: 1024px) 40vw, 100vw';
+
+const ProjectCard = ({ project }) => {
+  const { t, localize } = useI18n();
+  // Hovered or keyboard-focused: plays the preview and projects it into the scene
+  const [active, setActive] = useState(false);
+  const { media } = project;
+
+  return (
+    <Link
+      to={localize(`/work/${project.slug}`)}
+      data-cursor="view"
+      aria-label={t('work.caseStudy', { title: project.title })}
+      onPointerEnter={() => setActive(true)}
+      onPointerLeave={() => setActive(false)}
+      onFocus={() => setActive(true)}
+      onBlur={() => setActive(false)}
+      style={{ display: 'block', textDecoration: 'none' }}
+    >
+      {/* layoutIds are shared with the case study hero for the open/close transition */}
+      <motion.div layoutId={`project-card-${project.slug}`} style={{ position: 'relative', aspectRatio: '4/3', background: 'var(--vero-tint)', border: '1px solid var(--vero-line)', overflow: 'hidden' }}>
+         {media && (
+           <>
+             <ProjectPreview slug={project.slug} media={media} active={active} sizes={CARD_SIZES} />
+             <div aria-hidden="true" style={{ position: 'absolute', inset: 0, background: 'linear-gradient(to top, var(--vero-scrim), transparent 60%)' }} />
+           </>
+         )}
+         <div style={{ position: 'absolute', bottom: '1.5rem', insetInlineStart: '1.5rem', zIndex: 20 }}>
+            <motion.h3 layoutId={`project-title-${project.slug}`} style={{ fontSize: '1.5rem', color: 'var(--vero-text)', marginBottom: '0.25rem' }}>{project.title}</motion.h3>
+            <p style={{ fontFamily: 'Space Mono, monospace', fontSize: '0.75rem', color: 'var(--vero-accent)' }}>{project.meta}</p>
+         </div>
+      </motion.div>
+    </Link>
+  );
+};
+
+const ProjectGrid = ({ items }) => (
+  <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))', gap: '2rem', marginTop: '3rem' }}>
+    {items.map((project) => <ProjectCard key={project.slug} project={project} />)}
+  </div>
+);
+
+// `action: "contact"` opens the inquiry form; `href` stays as the no-JS / new-tab fallback
+const CallToAction = ({ label, href, action }) => {
+  const { openContact } = useContact();
+
+  const handleClick = (e) => {
+    track('cta_click', { label, source: 'section' });
+    if (action !== 'contact' || e.metaKey || e.ctrlKey || e.shiftKey) return;
+    e.preventDefault();
+    openContact();
+  };
+
+  return (
+    <div style={{ marginTop: '2rem' }}>
+      <a data-cursor-magnetic href={href} onClick={handleClick} style={{ display: 'inline-flex', alignItems: 'center', gap: '1rem', fontSize: '4rem', color: 'var(--vero-text)', textDecoration: 'none' }}>
+        <span>{label}</span>
+        <ArrowRight size={48} aria-hidden="true" data-flip-rtl />
+      </a>
+    </div>
+  );
+};
+
+// Renders the validated body blocks of a section (see src/content/index.js)
+const SectionBody = ({ blocks }) => blocks.map((block, index) => {
+  switch (block.type) {
+    case 'projects':
+      return <ProjectGrid key={index} items={block.items} />;
+    case 'cta':
+      return <CallToAction key={index} label={block.label} href={block.href} action={block.action} />;
+    default:
+      return <p key={index} style={{ marginBottom: index < blocks.length - 1 ? '1.5rem' : 0 }}>{block.text}</p>;
+  }
+});
+
 // -----------------------------------------------------------------------------
 // MAIN APP
 // -----------------------------------------------------------------------------
-export default function App() {
-  const [activeSection, setActiveSection] = useState('hero');
-  const [mouse, setMouse] = useState({ x: 0, y: 0 });
+// Set as raw HTML so prerendering doesn't entity-escape the quotes in selectors.
+// Fonts are self-hosted (see pwa/assets.js) so they work offline.
+const GLOBAL_CSS = `
+  ${fontFaceCss()}
+  html { scroll-behavior: smooth; }
+  html[data-a11y="on"] { scroll-behavior: auto; }
+  /* The custom cursor only replaces the native one for a real mouse outside accessibility mode */
+  html[data-input="mouse"]:not([data-a11y="on"]) { cursor: none; }
+  html:not([data-input="mouse"]) [data-custom-cursor], html[data-a11y="on"] [data-custom-cursor] { display: none; }
+  body { margin: 0; padding: 0; background: var(--vero-background); }
+  :focus-visible { outline: 2px solid var(--vero-accent); outline-offset: 4px; }
+  .skip-link { position: fixed; top: 1rem; inset-inline-start: 1rem; z-index: 10000; padding: 0.75rem 1.25rem; background: var(--vero-accent); color: var(--vero-on-accent); font-family: 'Space Mono', monospace; font-size: 0.875rem; text-transform: uppercase; letter-spacing: 0.1em; text-decoration: none; border-radius: 9999px; transform: translateY(-200%); }
+  .skip-link:focus { transform: none; }
+  /* Arrows and other directional icons point the other way in RTL locales */
+  html[dir="rtl"] [data-flip-rtl] { transform: scaleX(-1); }
+  /* Letter-spacing tears apart joined scripts; the inline kicker styles set it everywhere */
+  :lang(ar) * { letter-spacing: normal !important; }
+`;
+
+// `?tune` under `vite dev` opens the theme tuning panel; production builds don't include it
+const ThemePanel = import.meta.env.DEV ? React.lazy(() => import('./dev/theme-panel.jsx').then(({ ThemePanel }) => ({ default: ThemePanel }))) : null;
+const tuning = Boolean(ThemePanel) && typeof window !== 'undefined' && new URLSearchParams(window.location.search).has('tune');
+
+export const ROUTES = [
+  { name: 'home', path: '/' },
+  { name: 'project', path: '/work/:slug' },
+  { name: 'insights', path: '/insights' },
+  { name: 'insights', path: '/insights/page/:page' },
+  { name: 'insights', path: '/insights/tag/:tag' },
+  { name: 'insights', path: '/insights/tag/:tag/page/:page' },
+  { name: 'post', path: '/insights/:slug' },
+  { name: 'offline', path: '/offline' }
+];
 
+export default function App() {
+  const { location, navigate, replaceHash } = useRouter();
+  // Routes are matched without the locale prefix (/hi/work/x -> /work/x)
+  const { locale, path } = splitLocale(location.pathname);
+  const { sections } = getContent(locale);
+  const [activeSection, setActiveSection] = useState(sections[0].id);
+
+  const route = matchRoutes(ROUTES, path);
+  const project = route.name === 'project' ? getProject(route.params.slug, locale) : null;
+  const listing = route.name === 'insights' ? listPosts(route.params) : null;
+  const post = route.name === 'post' ? getPost(route.params.slug) : null;
+  const notFound = route.name === 'notFound'
+    || (route.name === 'project' && !project)
+    || (route.name === 'insights' && !listing)
+    || (route.name === 'post' && !post);
+
+  useRememberedLocale();
+
+  const theme = useTheme();
+  useRequestedTheme();
+
+  // Title, description, canonical etc. follow the route (prerendered pages ship with them already)
   useEffect(() => {
-    const updateMouse = (e) => {
-      setMouse({ 
-        x: (e.clientX / window.innerWidth) * 2 - 1, 
-        y: -(e.clientY / window.innerHeight) * 2 + 1 
-      });
-    };
-    window.addEventListener('mousemove', updateMouse);
-    return () => window.removeEventListener('mousemove', updateMouse);
-  }, []);
+    applyDocumentMeta(getPageMeta(route, locale));
+    track('page_view');
+    if (project) track('case_study_open', { project: project.slug });
+    if (post) track('post_open', { post: post.slug });
+  }, [location.pathname]);
+
+  // Sections report each time they become the one in view, and the URL follows
+  // (the first section is the bare page URL). Sections passed on the way to a
+  // jump target don't count.
+  const home = route.name === 'home';
+  const handleInView = useCallback((id) => {
+    if (isHoldingSection()) return;
+    setActiveSection(id);
+    track('section_view', { section: id });
+    if (home) replaceHash(id === sections[0].id ? '' : `#${id}`);
+  }, [home, replaceHash, sections]);
+
+  // Hash jumps (links, deep links, back/forward) switch the nav and the scene
+  // to the destination before the smooth scroll gets there
+  const handleHashScroll = useCallback((id) => {
+    const index = id ? sections.findIndex((section) => section.id === id) : 0;
+    if (!home || index < 0) return;
+    holdSection(index);
+    setActiveSection(sections[index].id);
+  }, [home, sections]);
+
+  useHashScroll(handleHashScroll);
+
+  useSectionShortcuts({
+    enabled: home,
+    onStep: (step) => {
+      const next = sections[sections.findIndex(({ id }) => id === activeSection) + step];
+      if (!next) return;
+      track('nav_click', { target: next.id, source: 'keyboard' });
+      navigate(localizePath(`/#${next.id}`, locale));
+    }
+  });
+
+  useScrollDepth();
+
+  // Keep the shape of the section that lists the case study behind its detail page
+  const projectSection = project ? getProjectSection(project.slug)?.id : null;
+  const sceneSection = projectSection || activeSection;
+
+  const skipLinks = [
+    { href: '#main-content', label: translate(locale, 'skip.content') },
+    ...sections.filter(({ id }) => id === 'contact').map(({ id }) => ({ href: `#${id}`, label: translate(locale, 'skip.contact') }))
+  ];
 
   return (
-    <ErrorBoundary>
-      <div style={{ position: 'relative', width: '100%', minHeight: '100vh', backgroundColor: '#050505', color: 'white' }}>
-        <style>{`
-          @import url('https://fonts.googleapis.com/css2?family=Playfair+Display:ital,wght@0,400;0,600;1,400&family=Space+Mono:wght@400;700&display=swap');
-          :root { cursor: none; }
-          html { scroll-behavior: smooth; }
-          body { margin: 0; padding: 0; background: #050505; }
-        `}</style>
-
-        <Cursor />
-        <Navigation />
+    <I18nProvider locale={locale}>
+      <ErrorBoundary scope="app" fallback={<SystemError />}>
+        <AccessibilityProvider>
+          <ContactProvider>
+            <div style={{ position: 'relative', width: '100%', minHeight: '100vh', backgroundColor: 'var(--vero-background)', color: 'var(--vero-text)' }}>
+              <style dangerouslySetInnerHTML={{ __html: themeCss(theme) + GLOBAL_CSS }} />
+
+              <SkipLinks links={skipLinks} />
+
+              <RenderProfiler id="cursor"><Cursor /></RenderProfiler>
+              <RenderProfiler id="navigation"><Navigation activeSection={sceneSection} activeProject={project?.slug} /></RenderProfiler>
         
-        {/* SCENE (Responds to activeSection) */}
-        <Scene mouse={mouse} activeSection={activeSection} />
-
-        {/* CONTENT */}
-        <main style={{ position: 'relative', zIndex: 10 }}>
-          
-          {/* HERO */}
-          <section 
-            style={{ height: '100vh', width: '100%', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', position: 'relative' }}
-          >
-            <motion.div 
-               onViewportEnter={() => setActiveSection('hero')}
-               viewport={{ amount: 0.6 }}
-               style={{ width: '100%', height: '100%', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center' }}
-            >
-              <div style={{ textAlign: 'center', zIndex: 10, mixBlendMode: 'exclusion' }}>
-                <CinematicTitle />
-                
-                <motion.div 
-                  initial={{ opacity: 0 }}
-                  animate={{ opacity: 1 }}
-                  transition={{ duration: 1, delay: 1.5 }}
-                  style={{ marginTop: '2rem', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '1rem' }}
-                >
-                  <span style={{ fontFamily: 'Space Mono, monospace', fontSize: '0.75rem', textTransform: 'uppercase', letterSpacing: '0.3em', color: 'rgba(255,255,255,0.6)' }}>Est. 2024</span>
-                  <div style={{ width: '4px', height: '4px', background: '#C67C4E', borderRadius: '50%' }} />
-                  <span style={{ fontFamily: 'Space Mono, monospace', fontSize: '0.75rem', textTransform: 'uppercase', letterSpacing: '0.3em', color: 'rgba(255,255,255,0.6)' }}>Digital Alchemy</span>
-                </motion.div>
-              </div>
-              
-              <div style={{ position: 'absolute', bottom: '2.5rem', left: '6rem' }}>
-                <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-start', gap: '0.5rem' }}>
-                    <span style={{ fontFamily: 'Space Mono, monospace', fontSize: '10px', color: '#6b7280', textTransform: 'uppercase' }}>Scroll to Explore</span>
-                    <div style={{ width: '1px', height: '3rem', background: 'linear-gradient(to bottom, #C67C4E, transparent)' }}></div>
-                </div>
-              </div>
-            </motion.div>
-          </section>
-
-          {/* SECTIONS */}
-          <Section 
-            id="work" 
-            subtitle="Recent Case Studies" 
-            title="Systems That Scale" 
-            onInView={setActiveSection}
-          >
-            <p style={{ marginBottom: '1.5rem' }}>
-              We don't just build websites; we engineer digital ecosystems. 
-              By blending refractive aesthetics with robust React architecture, 
-              we create experiences that linger in the memory of your users.
-            </p>
-            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))', gap: '2rem', marginTop: '3rem' }}>
-              {[1, 2].map((i) => (
-                <Magnetic key={i}>
-                  <div style={{ position: 'relative', aspectRatio: '4/3', background: 'rgba(255,255,255,0.05)', border: '1px solid rgba(255,255,255,0.1)', overflow: 'hidden', cursor: 'none' }}>
-                     <div style={{ position: 'absolute', bottom: '1.5rem', left: '1.5rem', zIndex: 20 }}>
-                        <h3 style={{ fontSize: '1.5rem', color: 'white', marginBottom: '0.25rem' }}>Project {i === 1 ? 'Obsidian' : 'Aether'}</h3>
-                        <p style={{ fontFamily: 'Space Mono, monospace', fontSize: '0.75rem', color: '#C67C4E' }}>Fintech / WebGL</p>
-                     </div>
-                  </div>
-                </Magnetic>
-              ))}
-            </div>
-          </Section>
-
-          <Section 
-            id="agency" 
-            align="right" 
-            subtitle="Our Philosophy" 
-            title="The Lens of Truth"
-            onInView={setActiveSection}
-          >
-            <p>
-              "Vero" means true. In an age of digital noise, clarity is the ultimate luxury.
-              We strip away the non-essential to reveal the core truth of your brand.
-              Using light, physics, and motion, we tell stories that don't just inform—they mesmerize.
-            </p>
-          </Section>
-
-          <Section 
-            id="contact" 
-            subtitle="Initiate Protocol" 
-            title="Ready to transcend?"
-            onInView={setActiveSection}
-          >
-            <div style={{ marginTop: '2rem' }}>
-              <Magnetic>
-                <a href="mailto:hello@veromedia.org" style={{ display: 'inline-flex', alignItems: 'center', gap: '1rem', fontSize: '4rem', color: 'white', textDecoration: 'none' }}>
-                  <span>Start a Project</span>
-                  <ArrowRight size={48} />
-                </a>
-              </Magnetic>
+              {/* SCENE (Responds to activeSection; reads the pointer store itself) */}
+              <RenderProfiler id="scene"><Scene pinnedSection={projectSection} pinnedShape={post?.shape} mirrored={LOCALES[locale].dir === 'rtl'} /></RenderProfiler>
+
+              {/* CONTENT */}
+              <RenderProfiler id="content">
+                <main id="main-content" tabIndex={-1} style={{ position: 'relative', zIndex: 10, outline: 'none' }}>
+                  {sections.map((section) => section.layout === 'hero' ? (
+                    <Hero key={section.id} section={section} onInView={handleInView} />
+                  ) : (
+                    <Section 
+                      key={section.id}
+                      id={section.id} 
+                      align={section.align}
+                      subtitle={section.subtitle} 
+                      title={section.title} 
+                      onInView={handleInView}
+                    >
+                      <SectionBody blocks={section.body} />
+                    </Section>
+                  ))}
+                </main>
+              </RenderProfiler>
+
+              {/* ROUTED PAGES (layered above the home sections) */}
+              <AnimatePresence>
+                {project && <CaseStudy key="case-study" project={project} />}
+                {listing && <Insights key="insights" listing={listing} />}
+                {post && <Post key="post" post={post} />}
+                {notFound && <NotFound key="not-found" />}
+                {route.name === 'offline' && <Offline key="offline" />}
+              </AnimatePresence>
+
+              <ConsentBanner />
+
+              {tuning && <Suspense fallback={null}><ThemePanel /></Suspense>}
             </div>
-          </Section>
-
-        </main>
-      </div>
-    </ErrorBoundary>
+          </ContactProvider>
+        </AccessibilityProvider>
+      </ErrorBoundary>
+    </I18nProvider>
   );
 }
@@ -0,0 +1,195 @@
+import React, { useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { ArrowRight, RotateCcw } from 'lucide-react';
+import { BUDGETS, TIMELINES, HONEYPOT_FIELD, MIN_FILL_MS, FIELD_LIMITS, validateInquiry } from './validation.js';
+import { track } from '../analytics/index.js';
+import { getContent } from '../content/index.js';
+import { useI18n } from '../i18n/index.jsx';
+
+// -----------------------------------------------------------------------------
+// CONTACT FORM
+// -----------------------------------------------------------------------------
+
+const ENDPOINT = '/api/contact';
+const FIELD_ORDER = ['name', 'email', 'company', 'budget', 'timeline', 'message'];
+const INITIAL_VALUES = { name: '', email: '', company: '', budget: '', timeline: '', message: '' };
+
+const labelStyle = { color: 'var(--vero-accent)', fontFamily: 'Space Mono, monospace', textTransform: 'uppercase', letterSpacing: '0.2em', fontSize: '0.75rem', display: 'block', marginBottom: '0.5rem' };
+const inputStyle = { width: '100%', boxSizing: 'border-box', background: 'transparent', border: 'none', borderBottom: '1px solid var(--vero-line-strong)', color: 'var(--vero-text)', fontSize: '1.125rem', padding: '0.5rem 0', fontFamily: 'inherit', outline: 'none', borderRadius: 0 };
+const errorStyle = { color: 'var(--vero-danger)', fontSize: '0.875rem', marginTop: '0.5rem', display: 'block' };
+const buttonStyle = { display: 'inline-flex', alignItems: 'center', gap: '0.75rem', padding: '0.75rem 1.75rem', background: 'var(--vero-accent)', color: 'var(--vero-on-accent)', fontSize: '0.875rem', fontWeight: 'bold', textTransform: 'uppercase', letterSpacing: '0.1em', borderRadius: '9999px', border: 'none', cursor: 'pointer' };
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const Field = ({ name, label, error, optional, children }) => (
+  <div style={{ marginBottom: '1.75rem' }}>
+    <label htmlFor={`contact-${name}`} style={labelStyle}>
+      {label}{optional && <span style={{ color: 'var(--vero-text-subtle)' }}> {optional}</span>}
+    </label>
+    {children}
+    {error && <span id={`contact-${name}-error`} role="alert" style={errorStyle}>{error}</span>}
+  </div>
+);
+
+export const ContactForm = ({ onDone }) => {
+  const { t, locale } = useI18n();
+  const { contact } = getContent(locale);
+  const [values, setValues] = useState(INITIAL_VALUES);
+  const [touched, setTouched] = useState({});
+  const [attempted, setAttempted] = useState(false);
+  // Problem codes per field (see validateInquiry); the server sends the same ones
+  const [serverErrors, setServerErrors] = useState({});
+  const [status, setStatus] = useState('idle'); // idle | submitting | success | error
+  const [submitError, setSubmitError] = useState('');
+  const startedAt = useRef(Date.now());
+  const honeypot = useRef(null);
+  const form = useRef(null);
+  const started = useRef(false);
+
+  const { codes: errors } = validateInquiry(values);
+  const codeFor = (field) => serverErrors[field] || ((touched[field] || attempted) ? errors[field] : undefined);
+  const errorFor = (field) => {
+    const code = codeFor(field);
+    if (!code) return undefined;
+    return t(code === 'tooLong' ? 'contact.error.tooLong' : `contact.error.${field}.${code}`, { limit: FIELD_LIMITS[field] });
+  };
+
+  const fieldProps = (field) => ({
+    id: `contact-${field}`,
+    name: field,
+    value: values[field],
+    onChange: (e) => {
+      const { value } = e.target;
+      if (!started.current) {
+        started.current = true;
+        track('contact_start', { field });
+      }
+      setValues((current) => ({ ...current, [field]: value }));
+      setServerErrors((current) => ({ ...current, [field]: undefined }));
+    },
+    onBlur: () => setTouched((current) => ({ ...current, [field]: true })),
+    'aria-invalid': Boolean(errorFor(field)),
+    'aria-describedby': errorFor(field) ? `contact-${field}-error` : undefined,
+    maxLength: FIELD_LIMITS[field],
+    style: inputStyle
+  });
+
+  const focusFirstInvalid = (fieldErrors) => {
+    const first = FIELD_ORDER.find((field) => fieldErrors[field]);
+    if (first) form.current?.querySelector(`[name="${first}"]`)?.focus();
+  };
+
+  const submit = async () => {
+    setStatus('submitting');
+    setSubmitError('');
+
+    // Genuinely quick humans are held back rather than silently dropped by the server's timing check
+    const elapsed = Date.now() - startedAt.current;
+    if (elapsed < MIN_FILL_MS) await wait(MIN_FILL_MS - elapsed);
+
+    try {
+      // A duration on our own clock rather than a timestamp, which the server's clock may not agree with
+      const response = await fetch(ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...values, [HONEYPOT_FIELD]: honeypot.current?.value || '', elapsed: Date.now() - startedAt.current })
+      });
+      const body = await response.json().catch(() => ({}));
+
+      if (response.status === 422 && body.codes) {
+        track('contact_error', { reason: 'invalid', status: 422 });
+        setServerErrors(body.codes);
+        setStatus('idle');
+        focusFirstInvalid(body.codes);
+        return;
+      }
+      if (!response.ok || !body.ok) throw new Error(body.error || 'Contact request failed');
+
+      track('contact_success', { budget: values.budget || 'unset', timeline: values.timeline || 'unset' });
+      setStatus('success');
+    } catch (error) {
+      track('contact_error', { reason: error instanceof TypeError ? 'network' : 'server' });
+      // The server's own wording is English-only, so the visitor gets the translated summary
+      setSubmitError(t(error instanceof TypeError ? 'contact.error.network' : 'contact.error.server'));
+      setStatus('error');
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setAttempted(true);
+    if (Object.keys(errors).length) {
+      track('contact_invalid', { fields: Object.keys(errors).join(',') });
+      focusFirstInvalid(errors);
+      return;
+    }
+    track('contact_submit');
+    submit();
+  };
+
+  if (status === 'success') {
+    return (
+      <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} role="status">
+        <h3 style={{ fontSize: '2.5rem', fontFamily: 'Playfair Display, serif', fontWeight: 400, color: 'var(--vero-text)', margin: '0 0 1rem' }}>{t('contact.successTitle')}</h3>
+        <p style={{ color: 'var(--vero-text-muted)', fontSize: '1.125rem', lineHeight: '1.625', margin: '0 0 2rem' }}>
+          {t('contact.successBody', { name: values.name.trim().split(' ')[0] })}
+        </p>
+        {onDone && <button type="button" onClick={onDone} style={buttonStyle}>{t('contact.done')}</button>}
+      </motion.div>
+    );
+  }
+
+  const submitting = status === 'submitting';
+
+  return (
+    <form ref={form} onSubmit={handleSubmit} noValidate aria-busy={submitting}>
+      {/* Honeypot: hidden from people and assistive tech, irresistible to bots */}
+      <div aria-hidden="true" style={{ position: 'absolute', insetInlineStart: '-10000px', width: '1px', height: '1px', overflow: 'hidden' }}>
+        <label htmlFor={`contact-${HONEYPOT_FIELD}`}>Website</label>
+        <input ref={honeypot} id={`contact-${HONEYPOT_FIELD}`} name={HONEYPOT_FIELD} type="text" tabIndex={-1} autoComplete="off" />
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(240px, 1fr))', columnGap: '2rem' }}>
+        <Field name="name" label={t('contact.name')} error={errorFor('name')}>
+          <input {...fieldProps('name')} type="text" autoComplete="name" required />
+        </Field>
+        <Field name="email" label={t('contact.email')} error={errorFor('email')}>
+          <input {...fieldProps('email')} type="email" autoComplete="email" required />
+        </Field>
+        <Field name="company" label={t('contact.company')} optional={t('contact.optional')} error={errorFor('company')}>
+          <input {...fieldProps('company')} type="text" autoComplete="organization" />
+        </Field>
+        <Field name="budget" label={t('contact.budget')} error={errorFor('budget')}>
+          <select {...fieldProps('budget')} required>
+            <option value="" disabled>{t('contact.budgetPlaceholder')}</option>
+            {/* Values stay the English ranges the server validates; only the labels are translated */}
+            {BUDGETS.map((budget, index) => <option key={budget} value={budget}>{t(`contact.budgets.${index}`)}</option>)}
+          </select>
+        </Field>
+        <Field name="timeline" label={t('contact.timeline')} error={errorFor('timeline')}>
+          <select {...fieldProps('timeline')} required>
+            <option value="" disabled>{t('contact.timelinePlaceholder')}</option>
+            {TIMELINES.map((timeline, index) => <option key={timeline} value={timeline}>{t(`contact.timelines.${index}`)}</option>)}
+          </select>
+        </Field>
+      </div>
+
+      <Field name="message" label={t('contact.message')} error={errorFor('message')}>
+        <textarea {...fieldProps('message')} rows={5} required style={{ ...inputStyle, resize: 'vertical' }} />
+      </Field>
+
+      {status === 'error' && (
+        <div role="alert" style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '1rem', marginBottom: '1.5rem', padding: '1rem 1.25rem', border: '1px solid var(--vero-danger-line)', color: 'var(--vero-danger)' }}>
+          <span style={{ flex: 1 }}>{submitError} {t('contact.writeInstead', { email: <a href={`mailto:${contact.email}`} data-cursor="email" style={{ color: 'var(--vero-text)' }}>{contact.email}</a> })}</span>
+          <button type="button" onClick={submit} style={{ ...buttonStyle, background: 'transparent', color: 'var(--vero-text)', border: '1px solid var(--vero-line-strong)' }}>
+            <RotateCcw size={16} /> {t('contact.retry')}
+          </button>
+        </div>
+      )}
+
+      <button type="submit" disabled={submitting} style={{ ...buttonStyle, opacity: submitting ? 0.6 : 1 }}>
+        {t(submitting ? 'contact.sending' : 'contact.send')} <ArrowRight size={16} data-flip-rtl />
+      </button>
+    </form>
+  );
+};
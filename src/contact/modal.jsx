@@ -0,0 +1,97 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X } from 'lucide-react';
+import { ContactForm } from './form.jsx';
+import { useFocusTrap } from '../a11y/focus-trap.js';
+import { track } from '../analytics/index.js';
+import { useI18n } from '../i18n/index.jsx';
+
+// -----------------------------------------------------------------------------
+// CONTACT MODAL
+// -----------------------------------------------------------------------------
+// `useContact().openContact()` opens the inquiry form from anywhere under
+// <ContactProvider>; focus returns to whatever opened it once it closes.
+
+const ContactContext = createContext({ openContact: () => {}, closeContact: () => {} });
+
+const ContactModal = ({ onClose }) => {
+  const { t } = useI18n();
+  const dialog = useRef(null);
+  useFocusTrap(dialog);
+
+  useEffect(() => {
+    dialog.current?.querySelector('input:not([tabindex="-1"]), select, textarea')?.focus();
+
+    const { overflow } = document.documentElement.style;
+    document.documentElement.style.overflow = 'hidden';
+    return () => { document.documentElement.style.overflow = overflow; };
+  }, []);
+
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Escape') return;
+    // Keep Escape from also closing a page layer underneath
+    e.stopPropagation();
+    onClose();
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      transition={{ duration: 0.3 }}
+      onClick={onClose}
+      style={{ position: 'fixed', inset: 0, zIndex: 60, display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '2rem', background: 'var(--vero-scrim)', backdropFilter: 'blur(12px)' }}
+    >
+      <motion.div
+        ref={dialog}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="contact-title"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+        initial={{ opacity: 0, y: 40 }}
+        animate={{ opacity: 1, y: 0 }}
+        exit={{ opacity: 0, y: 40 }}
+        transition={{ type: 'spring', damping: 24, stiffness: 200 }}
+        style={{ position: 'relative', width: '100%', maxWidth: '48rem', maxHeight: '100%', overflowY: 'auto', boxSizing: 'border-box', padding: '3rem', background: 'var(--vero-surface)', border: '1px solid var(--vero-line)' }}
+      >
+        <button type="button" onClick={onClose} aria-label={t('contact.closeForm')} style={{ position: 'absolute', top: '1.5rem', insetInlineEnd: '1.5rem', width: '2.5rem', height: '2.5rem', display: 'flex', alignItems: 'center', justifyContent: 'center', borderRadius: '9999px', background: 'transparent', color: 'var(--vero-text)', border: '1px solid var(--vero-line-strong)', cursor: 'pointer' }}>
+          <X size={18} />
+        </button>
+        <span style={{ color: 'var(--vero-accent)', fontFamily: 'Space Mono, monospace', textTransform: 'uppercase', letterSpacing: '0.2em', fontSize: '0.875rem', marginBottom: '1rem', display: 'block' }}>
+          {t('contact.kicker')}
+        </span>
+        <h2 id="contact-title" style={{ fontSize: '3rem', fontFamily: 'Playfair Display, serif', fontWeight: 400, color: 'var(--vero-text)', margin: '0 0 2.5rem', lineHeight: '1.1' }}>
+          {t('contact.title')}
+        </h2>
+        <ContactForm onDone={onClose} />
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export const ContactProvider = ({ children }) => {
+  const [open, setOpen] = useState(false);
+  const returnFocus = useRef(null);
+
+  const openContact = useCallback(() => {
+    track('contact_open');
+    returnFocus.current = document.activeElement;
+    setOpen(true);
+  }, []);
+  const closeContact = useCallback(() => setOpen(false), []);
+
+  const value = useMemo(() => ({ openContact, closeContact }), [openContact, closeContact]);
+
+  return (
+    <ContactContext.Provider value={value}>
+      {children}
+      <AnimatePresence onExitComplete={() => returnFocus.current?.focus?.()}>
+        {open && <ContactModal key="contact" onClose={closeContact} />}
+      </AnimatePresence>
+    </ContactContext.Provider>
+  );
+};
+
+export const useContact = () => useContext(ContactContext);
@@ -0,0 +1,75 @@
+// -----------------------------------------------------------------------------
+// CONTACT INQUIRY RULES
+// -----------------------------------------------------------------------------
+// Shared by the form (instant feedback) and /api/contact (the source of truth),
+// so both sides always agree on what a valid inquiry looks like.
+
+export const BUDGETS = ['Under $10k', '$10k – $25k', '$25k – $50k', '$50k – $100k', '$100k+'];
+export const TIMELINES = ['As soon as possible', '1 – 3 months', '3 – 6 months', 'Flexible'];
+
+// Submissions faster than this are almost certainly scripted
+export const MIN_FILL_MS = 3000;
+// The hidden field real visitors never see; bots fill every input they find
+export const HONEYPOT_FIELD = 'website';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const FIELD_LIMITS = {
+  name: 120,
+  email: 254,
+  company: 120,
+  message: 5000
+};
+
+const clean = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// English wording of each problem, for API clients; the form translates the codes itself
+const MESSAGES = {
+  'name.required': 'Tell us who we are talking to.',
+  'email.required': 'We need an email to reply to.',
+  'email.invalid': 'That email address does not look right.',
+  'budget.required': 'Pick the closest budget range.',
+  'timeline.required': 'Pick a timeline.',
+  'message.short': 'A couple of sentences about the project helps us prepare (20 characters minimum).'
+};
+
+const describe = (field, code) => (code === 'tooLong' ? `Keep this under ${FIELD_LIMITS[field]} characters.` : MESSAGES[`${field}.${code}`]);
+
+// Returns the trimmed values, a map of field -> problem code for every problem
+// found ('required' | 'invalid' | 'short' | 'tooLong'), and the same map as messages
+export const validateInquiry = (input = {}) => {
+  const values = {
+    name: clean(input.name),
+    email: clean(input.email),
+    company: clean(input.company),
+    budget: clean(input.budget),
+    timeline: clean(input.timeline),
+    message: clean(input.message)
+  };
+  const codes = {};
+
+  if (!values.name) codes.name = 'required';
+  if (!values.email) codes.email = 'required';
+  else if (!EMAIL_PATTERN.test(values.email)) codes.email = 'invalid';
+  if (!BUDGETS.includes(values.budget)) codes.budget = 'required';
+  if (!TIMELINES.includes(values.timeline)) codes.timeline = 'required';
+  if (values.message.length < 20) codes.message = 'short';
+
+  Object.entries(FIELD_LIMITS).forEach(([field, limit]) => {
+    if (values[field].length > limit) codes[field] = 'tooLong';
+  });
+
+  const errors = Object.fromEntries(Object.entries(codes).map(([field, code]) => [field, describe(field, code)]));
+  return { values, errors, codes };
+};
+
+// Honeypot filled in, or the form was submitted implausibly fast. `elapsed` is
+// the fill time measured on the visitor's own clock, so a clock that is off
+// from the server's can't make a real inquiry look scripted. There is no upper
+// bound: a form left open overnight is still a real visitor.
+export const isLikelySpam = (input = {}) => {
+  if (clean(input[HONEYPOT_FIELD])) return true;
+  const elapsed = Number(input.elapsed);
+  if (!Number.isFinite(elapsed)) return true;
+  return elapsed < MIN_FILL_MS;
+};
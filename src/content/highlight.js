@@ -0,0 +1,91 @@
+// -----------------------------------------------------------------------------
+// CODE HIGHLIGHTING
+// -----------------------------------------------------------------------------
+// A regex tokenizer for the languages the insights posts show: enough to tell
+// comments, strings, keywords and numbers apart, not a parser. Unknown
+// languages come back as a single plain token.
+
+const JS_KEYWORDS = 'as async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield';
+const TS_KEYWORDS = `${JS_KEYWORDS} enum implements interface keyof private protected public readonly type`;
+const GLSL_KEYWORDS = 'attribute bool break const continue discard else false float for highp if in inout int lowp mat2 mat3 mat4 mediump out precision return sampler2D struct true uniform varying vec2 vec3 vec4 void while';
+const SHELL_KEYWORDS = 'case do done echo elif else esac export fi for if in then while';
+
+const words = (list) => new RegExp(`\\b(?:${list.split(' ').join('|')})\\b`);
+
+const SLASH_COMMENT = /\/\/[^\n]*|\/\*[\s\S]*?\*\//;
+const STRING = /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/;
+const NUMBER = /\b(?:0x[\da-fA-F]+|\d+(?:\.\d+)?(?:e[+-]?\d+)?)\b/;
+
+// [token type, pattern] in priority order; patterns must not use capture groups
+const js = (keywords) => [
+  ['comment', SLASH_COMMENT],
+  ['string', /`(?:[^`\\]|\\.)*`/],
+  ['string', STRING],
+  ['keyword', words(keywords)],
+  ['number', NUMBER]
+];
+
+const LANGUAGES = {
+  js: js(JS_KEYWORDS),
+  ts: js(TS_KEYWORDS),
+  glsl: [
+    ['comment', SLASH_COMMENT],
+    ['keyword', words(GLSL_KEYWORDS)],
+    ['number', /\b\d+(?:\.\d*)?\b|\.\d+\b/]
+  ],
+  css: [
+    ['comment', /\/\*[\s\S]*?\*\//],
+    ['string', STRING],
+    ['keyword', /@[\w-]+|--[\w-]+/],
+    ['number', /-?\b\d+(?:\.\d+)?(?:px|rem|em|%|vh|vw|dvh|s|ms|deg)?\b|#[\da-fA-F]{3,8}\b/]
+  ],
+  json: [
+    ['keyword', /"(?:[^"\\\n]|\\.)*"(?=\s*:)|\b(?:true|false|null)\b/],
+    ['string', STRING],
+    ['number', /-?\b\d+(?:\.\d+)?(?:e[+-]?\d+)?\b/]
+  ],
+  shell: [
+    ['comment', /#[^\n]*/],
+    ['string', STRING],
+    ['keyword', words(SHELL_KEYWORDS)]
+  ]
+};
+
+const ALIASES = { javascript: 'js', jsx: 'js', mjs: 'js', typescript: 'ts', tsx: 'ts', frag: 'glsl', vert: 'glsl', bash: 'shell', sh: 'shell', zsh: 'shell' };
+
+const compiled = new Map();
+
+const tokenizerFor = (lang) => {
+  const name = ALIASES[lang] || lang;
+  if (!LANGUAGES[name]) return null;
+  if (!compiled.has(name)) {
+    const rules = LANGUAGES[name];
+    compiled.set(name, {
+      types: rules.map(([type]) => type),
+      pattern: new RegExp(rules.map(([, rule]) => `(${rule.source})`).join('|'), 'g')
+    });
+  }
+  return compiled.get(name);
+};
+
+// [{ type: 'plain' | 'comment' | 'string' | 'keyword' | 'number', text }]
+export const highlight = (code, lang) => {
+  const tokenizer = tokenizerFor(lang);
+  if (!tokenizer) return [{ type: 'plain', text: code }];
+
+  const { types, pattern } = tokenizer;
+  const tokens = [];
+  let last = 0;
+  pattern.lastIndex = 0;
+  for (let match = pattern.exec(code); match; match = pattern.exec(code)) {
+    if (match[0] === '') {
+      pattern.lastIndex += 1;
+      continue;
+    }
+    if (match.index > last) tokens.push({ type: 'plain', text: code.slice(last, match.index) });
+    tokens.push({ type: types[match.slice(1).findIndex((group) => group !== undefined)], text: match[0] });
+    last = match.index + match[0].length;
+  }
+  if (last < code.length) tokens.push({ type: 'plain', text: code.slice(last) });
+  return tokens;
+};
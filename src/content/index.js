@@ -0,0 +1,357 @@
+import site from './site.json';
+import projectsFile from './projects.json';
+import hiContent from './locales/hi.json';
+import arContent from './locales/ar.json';
+import { hasShape, registerShape, shapeNames } from '../scene/shapes.js';
+import { DEFAULT_LOCALE, LOCALE_CODES, isLocale } from '../i18n/locales.js';
+import { MATERIAL_KEYS, isColorValue } from '../theme/tokens.js';
+
+// -----------------------------------------------------------------------------
+// CONTENT SCHEMA
+// -----------------------------------------------------------------------------
+// Sections are rendered in the order they appear in site.json. Each one drives
+// its own nav entry (when `nav` is set) and the 3D shape/material shown while
+// it is in view, so the content file is the only place they need to change.
+// Shapes come from the registry in scene/shapes.js; site.json can add glTF
+// models to it under `shapes`. Other locales overlay translated copy from
+// locales/<locale>.json (see LOCALIZATION below).
+
+const LAYOUTS = ['hero', 'section'];
+const ALIGNMENTS = ['left', 'right'];
+const BLOCK_TYPES = ['text', 'projects', 'cta'];
+const STORY_BLOCK_TYPES = ['text', 'heading', 'quote', 'list'];
+const CTA_ACTIONS = ['contact'];
+const FLOAT_KEYS = ['speed', 'rotationIntensity', 'floatIntensity'];
+
+export class ContentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ContentError';
+  }
+}
+
+const fail = (where, message) => { throw new ContentError(`${where}: ${message}`); };
+
+const requireString = (value, where, field) => {
+  if (typeof value !== 'string' || !value.trim()) fail(where, `"${field}" must be a non-empty string`);
+};
+
+// `values` may only hold numbers under `keys`
+const requireNumbers = (values, keys, where, field) => {
+  Object.entries(values).forEach(([key, value]) => {
+    if (!keys.includes(key)) fail(where, `unknown ${field} key "${key}"`);
+    if (typeof value !== 'number') fail(where, `${field} "${key}" must be a number`);
+  });
+};
+
+// Plain strings in `body` are shorthand for text blocks
+const normalizeBlock = (block, where) => {
+  const normalized = typeof block === 'string' ? { type: 'text', text: block } : { ...block };
+  if (!normalized || !BLOCK_TYPES.includes(normalized.type)) {
+    fail(where, `unknown block type "${normalized?.type}" (expected one of ${BLOCK_TYPES.join(', ')})`);
+  }
+  if (normalized.type === 'text') requireString(normalized.text, where, 'text');
+  if (normalized.type === 'cta') {
+    requireString(normalized.label, where, 'label');
+    requireString(normalized.href, where, 'href');
+    if (normalized.action !== undefined && !CTA_ACTIONS.includes(normalized.action)) {
+      fail(where, `unknown cta action "${normalized.action}" (expected one of ${CTA_ACTIONS.join(', ')})`);
+    }
+  }
+  if (normalized.type === 'projects') {
+    if (!Array.isArray(normalized.items) || normalized.items.length === 0) fail(where, '"items" must be a non-empty array');
+    normalized.items.forEach((slug, i) => requireString(slug, `${where} item ${i}`, 'slug'));
+  }
+  return normalized;
+};
+
+// Case study bodies use their own, richer block set
+const normalizeStoryBlock = (block, where) => {
+  const normalized = typeof block === 'string' ? { type: 'text', text: block } : block;
+  if (!normalized || !STORY_BLOCK_TYPES.includes(normalized.type)) {
+    fail(where, `unknown block type "${normalized?.type}" (expected one of ${STORY_BLOCK_TYPES.join(', ')})`);
+  }
+  if (normalized.type === 'list') {
+    if (!Array.isArray(normalized.items) || normalized.items.length === 0) fail(where, '"items" must be a non-empty array');
+    normalized.items.forEach((item, i) => requireString(item, `${where} item ${i}`, 'item'));
+  } else {
+    requireString(normalized.text, where, 'text');
+  }
+  return normalized;
+};
+
+// Card and hero media. `poster.srcset` lists the same image at several widths;
+// `video` is a muted, looping preview the card plays on hover. Sources are
+// tried in order, so list the smallest format the browsers support first.
+//   { alt, caption?, poster: { src, srcset?: [{ src, width }] },
+//     video?: { sources: [{ src, type }] } }
+const normalizeMedia = (media, where) => {
+  if (media === undefined) return null;
+  if (!media || typeof media !== 'object') fail(where, '"media" must be an object');
+  requireString(media.alt, where, 'media.alt');
+  if (media.caption !== undefined) requireString(media.caption, where, 'media.caption');
+
+  const { poster, video } = media;
+  if (!poster || typeof poster !== 'object') fail(where, '"media.poster" must be an object');
+  requireString(poster.src, where, 'media.poster.src');
+  const srcset = poster.srcset || [];
+  if (!Array.isArray(srcset)) fail(where, '"media.poster.srcset" must be an array');
+  srcset.forEach((candidate, i) => {
+    requireString(candidate?.src, where, `media.poster.srcset[${i}].src`);
+    if (!Number.isInteger(candidate.width) || candidate.width <= 0) fail(where, `"media.poster.srcset[${i}].width" must be a positive integer`);
+  });
+
+  if (video !== undefined) {
+    if (!video || !Array.isArray(video.sources) || video.sources.length === 0) fail(where, '"media.video.sources" must be a non-empty array');
+    video.sources.forEach((source, i) => {
+      requireString(source?.src, where, `media.video.sources[${i}].src`);
+      requireString(source.type, where, `media.video.sources[${i}].type`);
+    });
+  }
+
+  return {
+    alt: media.alt,
+    caption: media.caption || null,
+    poster: { src: poster.src, srcset },
+    video: video ? { sources: video.sources } : null
+  };
+};
+
+const normalizeProject = (project, index) => {
+  const where = `projects[${index}]${project?.slug ? ` (${project.slug})` : ''}`;
+  if (!project || typeof project !== 'object') fail(where, 'must be an object');
+
+  requireString(project.slug, where, 'slug');
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(project.slug)) fail(where, `slug "${project.slug}" must be lowercase letters, digits and dashes`);
+  ['title', 'meta', 'summary', 'role', 'timeline'].forEach((field) => requireString(project[field], where, field));
+  if (!Array.isArray(project.stack) || project.stack.length === 0) fail(where, '"stack" must be a non-empty array');
+  if (!Array.isArray(project.body) || project.body.length === 0) fail(where, '"body" must be a non-empty array');
+
+  return {
+    ...project,
+    media: normalizeMedia(project.media, where),
+    body: project.body.map((block, i) => normalizeStoryBlock(block, `${where} body[${i}]`))
+  };
+};
+
+export const validateProjects = (content) => {
+  if (!content || !Array.isArray(content.projects)) throw new ContentError('content must define a "projects" array');
+
+  const projects = content.projects.map(normalizeProject);
+
+  const seen = new Set();
+  projects.forEach(({ slug }) => {
+    if (seen.has(slug)) throw new ContentError(`duplicate project slug "${slug}"`);
+    seen.add(slug);
+  });
+
+  return projects;
+};
+
+const normalizeSection = (section, index) => {
+  const where = `sections[${index}]${section?.id ? ` (${section.id})` : ''}`;
+  if (!section || typeof section !== 'object') fail(where, 'must be an object');
+
+  requireString(section.id, where, 'id');
+  if (!/^[a-z][a-z0-9-]*$/.test(section.id)) fail(where, `id "${section.id}" must be lowercase letters, digits and dashes`);
+  requireString(section.title, where, 'title');
+
+  const layout = section.layout || 'section';
+  if (!LAYOUTS.includes(layout)) fail(where, `unknown layout "${layout}"`);
+
+  const align = section.align || 'left';
+  if (!ALIGNMENTS.includes(align)) fail(where, `unknown align "${align}" (expected left or right)`);
+
+  if (!hasShape(section.shape)) {
+    fail(where, `unknown shape "${section.shape}" (expected one of ${shapeNames().join(', ')})`);
+  }
+  if (!isColorValue(section.color)) fail(where, `color "${section.color}" must be a #rrggbb hex value or a palette colour`);
+
+  const material = section.material || {};
+  requireNumbers(material, MATERIAL_KEYS, where, 'material');
+
+  if (layout === 'section') requireString(section.subtitle, where, 'subtitle');
+  if (section.nav !== undefined) requireString(section.nav, where, 'nav');
+
+  return {
+    ...section,
+    layout,
+    align,
+    material,
+    body: (section.body || []).map((block, i) => normalizeBlock(block, `${where} body[${i}]`))
+  };
+};
+
+// Brand models for the scene: { "<name>": { "model": "/models/x.glb", "scale"?, "float"?, "material"? } }.
+// Registered before sections are checked so they can be picked by name.
+const registerContentShapes = (shapes) => {
+  Object.entries(shapes || {}).forEach(([name, shape]) => {
+    const where = `shapes.${name}`;
+    if (!shape || typeof shape !== 'object') fail(where, 'must be an object');
+    if (hasShape(name)) fail(where, `"${name}" is already a registered shape`);
+    requireString(shape.model, where, 'model');
+    if (shape.scale !== undefined && !(typeof shape.scale === 'number' && shape.scale > 0)) fail(where, '"scale" must be a positive number');
+    requireNumbers(shape.float || {}, FLOAT_KEYS, where, 'float');
+    requireNumbers(shape.material || {}, MATERIAL_KEYS, where, 'material');
+    registerShape(name, { model: shape.model, scale: shape.scale, float: shape.float, material: shape.material });
+  });
+};
+
+// Site-wide metadata for page titles, canonical URLs and structured data
+const normalizeSite = (site) => {
+  const where = 'site';
+  if (!site || typeof site !== 'object') fail(where, 'must be an object');
+  ['name', 'url', 'title', 'description'].forEach((field) => requireString(site[field], where, field));
+  if (!/^https?:\/\/[^/]+/.test(site.url)) fail(where, `url "${site.url}" must be an absolute http(s) URL`);
+  if (site.image !== undefined) requireString(site.image, where, 'image');
+  if (site.twitter !== undefined) requireString(site.twitter, where, 'twitter');
+  // Paths are appended to it, so no trailing slash
+  return { ...site, url: site.url.replace(/\/+$/, '') };
+};
+
+// Studio contact details shown in the menu overlay
+const normalizeContact = (contact) => {
+  const where = 'contact';
+  if (!contact || typeof contact !== 'object') fail(where, 'must be an object');
+  requireString(contact.email, where, 'email');
+  const social = contact.social || [];
+  social.forEach((link, i) => {
+    requireString(link?.label, `${where}.social[${i}]`, 'label');
+    requireString(link?.href, `${where}.social[${i}]`, 'href');
+  });
+  return { ...contact, social };
+};
+
+// Normalized sections with their project grids resolved against `projects`
+const resolveSections = (rawSections, projects) => {
+  const sections = rawSections.map(normalizeSection);
+
+  const seen = new Set();
+  sections.forEach(({ id }) => {
+    if (seen.has(id)) throw new ContentError(`duplicate section id "${id}"`);
+    seen.add(id);
+  });
+
+  // Project grids list slugs; resolve them so a typo fails here instead of rendering a dead card
+  const bySlug = new Map(projects.map((project) => [project.slug, project]));
+  sections.forEach(({ id, body }) => body
+    .filter((block) => block.type === 'projects')
+    .forEach((block) => {
+      block.items = block.items.map((slug) => {
+        if (!bySlug.has(slug)) throw new ContentError(`section "${id}" lists unknown project "${slug}"`);
+        return bySlug.get(slug);
+      });
+    }));
+
+  return sections;
+};
+
+export const validateContent = (content, projects = []) => {
+  if (!content || !Array.isArray(content.sections) || content.sections.length === 0) {
+    throw new ContentError('content must define a non-empty "sections" array');
+  }
+
+  registerContentShapes(content.shapes);
+  const sections = resolveSections(content.sections, projects);
+
+  return { ...content, sections, site: normalizeSite(content.site), contact: normalizeContact(content.contact) };
+};
+
+// -----------------------------------------------------------------------------
+// LOCALIZATION
+// -----------------------------------------------------------------------------
+// A translation file replaces copy, and only copy, on the English content:
+//   { "site": { title, description },
+//     "sections": { "<id>": { nav, title, subtitle, tagline, scrollHint, body } },
+//     "projects": { "<slug>": { title, meta, summary, role, timeline, body,
+//                                media: { alt, caption } } } }
+// Ids, order, shapes, colours and media files stay shared. A field that is left out falls
+// back to English, and `body` is replaced as a whole (grids list the same slugs).
+// `align` keeps its LTR meaning: "right" means the end side of the reading
+// direction, so the layout mirrors in RTL locales without a separate setting.
+
+const TRANSLATIONS = { hi: hiContent, ar: arContent };
+const SITE_COPY = ['title', 'description'];
+const SECTION_COPY = ['nav', 'title', 'subtitle', 'tagline', 'scrollHint', 'body'];
+const PROJECT_COPY = ['title', 'meta', 'summary', 'role', 'timeline', 'body', 'media'];
+const MEDIA_COPY = ['alt', 'caption'];
+
+const requireCopyFields = (copy, fields, where) => {
+  Object.keys(copy).forEach((field) => {
+    if (!fields.includes(field)) fail(where, `"${field}" is not translatable (expected one of ${fields.join(', ')})`);
+  });
+};
+
+// `items` with the translated fields of `translations[item[key]]` merged in
+const overlay = (items, key, translations = {}, fields, where) => {
+  Object.keys(translations).forEach((id) => {
+    if (!items.some((item) => item[key] === id)) fail(where, `unknown ${key} "${id}"`);
+  });
+  return items.map((item) => {
+    const copy = translations[item[key]] || {};
+    requireCopyFields(copy, fields, `${where}.${item[key]}`);
+    return { ...item, ...copy };
+  });
+};
+
+// Media copy is merged into the English media rather than replacing it, so the
+// files never need repeating per locale
+const withMediaCopy = (translations = {}, where) => Object.fromEntries(Object.entries(translations).map(([slug, copy]) => {
+  if (!copy.media) return [slug, copy];
+  requireCopyFields(copy.media, MEDIA_COPY, `${where}.${slug}.media`);
+  const english = projectsFile.projects.find((project) => project.slug === slug);
+  return [slug, { ...copy, media: { ...english?.media, ...copy.media } }];
+}));
+
+const localizeContent = (locale, translation) => {
+  const where = `locales/${locale}.json`;
+  try {
+    requireCopyFields(translation.site || {}, SITE_COPY, `${where} site`);
+    const projects = validateProjects({ projects: overlay(projectsFile.projects, 'slug', withMediaCopy(translation.projects, 'projects'), PROJECT_COPY, 'projects') });
+    const sections = resolveSections(overlay(site.sections, 'id', translation.sections, SECTION_COPY, 'sections'), projects);
+    return { sections, projects, site: normalizeSite({ ...site.site, ...translation.site }) };
+  } catch (error) {
+    // Point at the translation file, not the English one the message describes
+    if (error instanceof ContentError && !error.message.startsWith(where)) throw new ContentError(`${where}: ${error.message}`);
+    throw error;
+  }
+};
+
+const navItems = (sections) => sections.filter((section) => section.nav).map(({ id, nav }) => ({ id, label: nav }));
+
+// Validated once at load time so a bad edit fails the build / first render loudly
+export const PROJECTS = validateProjects(projectsFile);
+export const { sections: SECTIONS, site: SITE, contact: CONTACT } = validateContent(site, PROJECTS);
+
+export const NAV_ITEMS = navItems(SECTIONS);
+
+Object.keys(TRANSLATIONS).forEach((locale) => {
+  if (!isLocale(locale)) fail(`locales/${locale}.json`, `"${locale}" is not a configured locale`);
+});
+
+// Every locale's copy; locales without a translation file show the English content
+const CONTENT = Object.fromEntries(LOCALE_CODES.map((locale) => {
+  const localized = locale !== DEFAULT_LOCALE && TRANSLATIONS[locale]
+    ? localizeContent(locale, TRANSLATIONS[locale])
+    : { sections: SECTIONS, projects: PROJECTS, site: SITE };
+  return [locale, { ...localized, contact: CONTACT, navItems: navItems(localized.sections) }];
+}));
+
+// { sections, projects, site, contact, navItems } in `locale`
+export const getContent = (locale) => CONTENT[locale] || CONTENT[DEFAULT_LOCALE];
+
+export const getProject = (slug, locale = DEFAULT_LOCALE) => getContent(locale).projects.find((project) => project.slug === slug) || null;
+
+// Previous/next wrap around so every case study links onward
+export const getAdjacentProjects = (slug, locale = DEFAULT_LOCALE) => {
+  const { projects } = getContent(locale);
+  const index = projects.findIndex((project) => project.slug === slug);
+  if (index === -1) return { previous: null, next: null };
+  const at = (offset) => projects[(index + offset + projects.length) % projects.length];
+  return { previous: at(-1), next: at(1) };
+};
+
+// The section whose project grid lists a case study, so the scene keeps its shape behind the detail page
+export const getProjectSection = (slug) => SECTIONS.find(({ body }) => body.some(
+  (block) => block.type === 'projects' && block.items.some((project) => project.slug === slug)
+)) || null;
@@ -0,0 +1,168 @@
+// -----------------------------------------------------------------------------
+// MARKDOWN
+// -----------------------------------------------------------------------------
+// The small subset the insights posts are written in, parsed into plain block
+// and inline nodes that pages/markdown.jsx renders as React elements (no HTML
+// strings, so nothing in a post can inject markup).
+//
+// Blocks:  # headings, paragraphs, > quotes, - / 1. lists, --- rules, ``` fences
+// Inline:  `code`, **strong**, *em* / _em_, [links](url), ![images](src)
+//
+// Frontmatter is a `---` fenced block of `key: value` lines at the top of the
+// file; `[a, b]` values (or indented `- a` lines under an empty key) are lists.
+
+const FRONTMATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+const unquote = (value) => value.replace(/^(["'])([\s\S]*)\1$/, '$2');
+
+export const parseFrontmatter = (source) => {
+  const match = FRONTMATTER.exec(source);
+  if (!match) return { data: {}, body: source };
+
+  const data = {};
+  let listKey = null;
+  match[1].split(/\r?\n/).forEach((line) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const item = /^\s+-\s+(.*)$/.exec(line);
+    if (item && listKey) {
+      data[listKey].push(unquote(item[1].trim()));
+      return;
+    }
+
+    const pair = /^([A-Za-z][\w-]*):\s*(.*)$/.exec(line);
+    if (!pair) throw new Error(`frontmatter line "${line}" is not "key: value"`);
+    const [, key, raw] = pair;
+    const value = raw.trim();
+    listKey = null;
+
+    if (value === '') {
+      data[key] = [];
+      listKey = key;
+    } else if (/^\[.*\]$/.test(value)) {
+      data[key] = value.slice(1, -1).split(',').map((entry) => unquote(entry.trim())).filter(Boolean);
+    } else {
+      data[key] = unquote(value);
+    }
+  });
+
+  return { data, body: source.slice(match[0].length) };
+};
+
+// -----------------------------------------------------------------------------
+// INLINE
+// -----------------------------------------------------------------------------
+
+// One alternative per construct, tried left to right; the group that matched says which
+const INLINE = /(`+)([\s\S]*?)\1|!\[([^\]]*)\]\(([^)\s]+)\)|\[([^\]]+)\]\(([^)\s]+)\)|\*\*([\s\S]+?)\*\*|\*([^*\s](?:[^*]*[^*\s])?)\*|(?<![\w])_([^_\s](?:[^_]*[^_\s])?)_(?![\w])/g;
+
+export const parseInline = (text) => {
+  const nodes = [];
+  let last = 0;
+  INLINE.lastIndex = 0;
+
+  for (let match = INLINE.exec(text); match; match = INLINE.exec(text)) {
+    if (match.index > last) nodes.push({ type: 'text', text: text.slice(last, match.index) });
+    last = match.index + match[0].length;
+
+    const [, ticks, code, alt, src, label, href, strong, em, underscored] = match;
+    if (ticks) nodes.push({ type: 'code', text: code.trim() });
+    else if (src) nodes.push({ type: 'image', src, alt });
+    else if (href) nodes.push({ type: 'link', href, children: parseInline(label) });
+    else if (strong) nodes.push({ type: 'strong', children: parseInline(strong) });
+    else nodes.push({ type: 'em', children: parseInline(em || underscored) });
+    // The regex is shared with the recursive calls above, which moved it
+    INLINE.lastIndex = last;
+  }
+  if (last < text.length) nodes.push({ type: 'text', text: text.slice(last) });
+  return nodes;
+};
+
+// The words of an inline tree, for summaries and ids
+export const plainText = (nodes) => nodes.map((node) => node.text ?? (node.children ? plainText(node.children) : node.alt || '')).join('');
+
+export const slugify = (text) => text.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// -----------------------------------------------------------------------------
+// BLOCKS
+// -----------------------------------------------------------------------------
+
+const FENCE = /^(`{3,}|~{3,})\s*([\w+-]*)\s*$/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^(?:-{3,}|\*{3,}|_{3,})\s*$/;
+const QUOTE = /^>\s?(.*)$/;
+const LIST_ITEM = /^(?:([-*+])|(\d+)[.)])\s+(.*)$/;
+
+const isBlockStart = (line) => FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+
+export const parseMarkdown = (source) => {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i += 1;
+      continue;
+    }
+
+    const fence = FENCE.exec(line);
+    if (fence) {
+      const code = [];
+      i += 1;
+      while (i < lines.length && !lines[i].startsWith(fence[1])) code.push(lines[i++]);
+      i += 1;
+      blocks.push({ type: 'code', lang: fence[2].toLowerCase(), text: code.join('\n') });
+      continue;
+    }
+
+    const heading = HEADING.exec(line);
+    if (heading) {
+      const children = parseInline(heading[2]);
+      blocks.push({ type: 'heading', level: heading[1].length, id: slugify(plainText(children)), children });
+      i += 1;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      i += 1;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) quoted.push(QUOTE.exec(lines[i++])[1]);
+      blocks.push({ type: 'quote', blocks: parseMarkdown(quoted.join('\n')) });
+      continue;
+    }
+
+    const first = LIST_ITEM.exec(line);
+    if (first) {
+      const ordered = Boolean(first[2]);
+      const items = [];
+      while (i < lines.length) {
+        const item = LIST_ITEM.exec(lines[i]);
+        if (item && Boolean(item[2]) === ordered) {
+          items.push(item[3]);
+        } else if (items.length && /^\s+\S/.test(lines[i])) {
+          // Indented continuation of the previous item
+          items[items.length - 1] += ` ${lines[i].trim()}`;
+        } else {
+          break;
+        }
+        i += 1;
+      }
+      blocks.push({ type: 'list', ordered, start: ordered ? Number(first[2]) : 1, items: items.map(parseInline) });
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && !(paragraph.length && isBlockStart(lines[i]))) paragraph.push(lines[i++].trim());
+    blocks.push({ type: 'paragraph', children: parseInline(paragraph.join(' ')) });
+  }
+
+  return blocks;
+};
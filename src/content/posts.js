@@ -0,0 +1,101 @@
+import { ContentError } from './index.js';
+import { parseFrontmatter, parseMarkdown, plainText } from './markdown.js';
+import { hasShape, shapeNames } from '../scene/shapes.js';
+
+// -----------------------------------------------------------------------------
+// INSIGHTS POSTS
+// -----------------------------------------------------------------------------
+// One Markdown file per post in posts/, named after its slug. Frontmatter:
+//   title    required
+//   date     required, YYYY-MM-DD
+//   tags     optional list of lowercase-dashed tags: [webgl, performance]
+//   summary  optional; defaults to the first paragraph
+//   cover    optional image path (public/...)
+//   shape    optional registered shape the scene morphs into behind the post
+// Posts are English only: every locale lists the same posts, and their URLs
+// are never locale-prefixed in metadata or feeds.
+
+export const POSTS_PER_PAGE = 6;
+const WORDS_PER_MINUTE = 220;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const TAG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const files = import.meta.glob('./posts/*.md', { query: '?raw', import: 'default', eager: true });
+
+const fail = (where, message) => { throw new ContentError(`${where}: ${message}`); };
+
+const readingMinutes = (body) => Math.max(1, Math.round(body.split(/\s+/).filter(Boolean).length / WORDS_PER_MINUTE));
+
+const normalizePost = (file, source) => {
+  const slug = file.replace(/^.*\/|\.md$/g, '');
+  const where = `posts/${slug}.md`;
+  if (!TAG.test(slug)) fail(where, 'file names must be lowercase letters, digits and dashes');
+
+  let parsed;
+  try {
+    parsed = parseFrontmatter(source);
+  } catch (error) {
+    fail(where, error.message);
+  }
+  const { data, body } = parsed;
+
+  if (typeof data.title !== 'string' || !data.title) fail(where, '"title" must be a non-empty string');
+  if (!DATE.test(data.date || '') || Number.isNaN(Date.parse(data.date))) fail(where, `"date" must be YYYY-MM-DD, not "${data.date}"`);
+  const tags = data.tags ?? [];
+  if (!Array.isArray(tags) || tags.some((tag) => !TAG.test(tag))) fail(where, '"tags" must be a list of lowercase-dashed tags');
+  if (data.shape !== undefined && !hasShape(data.shape)) {
+    fail(where, `unknown shape "${data.shape}" (expected one of ${shapeNames().join(', ')})`);
+  }
+
+  const blocks = parseMarkdown(body);
+  const firstParagraph = blocks.find(({ type }) => type === 'paragraph');
+  const summary = data.summary || (firstParagraph && plainText(firstParagraph.children));
+  if (!summary) fail(where, 'needs a "summary" or a paragraph to take one from');
+
+  return {
+    slug,
+    title: data.title,
+    date: data.date,
+    tags,
+    summary,
+    cover: data.cover || null,
+    shape: data.shape || null,
+    minutes: readingMinutes(body),
+    blocks
+  };
+};
+
+// Newest first
+export const POSTS = Object.entries(files)
+  .map(([file, source]) => normalizePost(file, source))
+  .sort((a, b) => b.date.localeCompare(a.date) || a.slug.localeCompare(b.slug));
+
+export const POST_TAGS = [...new Set(POSTS.flatMap(({ tags }) => tags))].sort();
+
+// Shapes posts pin, which the scene adds to its morph targets
+export const POST_SHAPES = [...new Set(POSTS.map(({ shape }) => shape).filter(Boolean))];
+
+export const getPost = (slug) => POSTS.find((post) => post.slug === slug) || null;
+
+export const insightsPath = ({ tag = null, page = 1 } = {}) => `/insights${tag ? `/tag/${tag}` : ''}${page > 1 ? `/page/${page}` : ''}`;
+
+// One page of the listing, from the route params; null for an unknown tag or
+// a page past the end (page 1 only exists without the /page/1 suffix)
+export const listPosts = ({ tag = null, page: param } = {}) => {
+  if (tag && !POST_TAGS.includes(tag)) return null;
+  if (param !== undefined && !/^[1-9]\d*$/.test(param)) return null;
+  const page = param === undefined ? 1 : Number(param);
+  if (param !== undefined && page === 1) return null;
+
+  const matching = tag ? POSTS.filter(({ tags }) => tags.includes(tag)) : POSTS;
+  const pages = Math.max(1, Math.ceil(matching.length / POSTS_PER_PAGE));
+  if (page > pages) return null;
+
+  return { tag, page, pages, posts: matching.slice((page - 1) * POSTS_PER_PAGE, page * POSTS_PER_PAGE) };
+};
+
+// Every listing page: all posts and each tag, paginated
+export const LISTING_PATHS = [null, ...POST_TAGS].flatMap((tag) => {
+  const { pages } = listPosts({ tag });
+  return Array.from({ length: pages }, (_, index) => insightsPath({ tag, page: index + 1 }));
+});
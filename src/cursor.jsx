@@ -0,0 +1,151 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { motion, animate, useMotionValue, useSpring, useTransform } from 'framer-motion';
+import { useFinePointer, usePointerMotion } from './input/pointer.js';
+import { CURSOR_TARGETS, getCursorIcon, resolveCursor, useCursorMode } from './input/cursor.js';
+import { useReducedMotion } from './a11y/accessibility.jsx';
+import { useI18n } from './i18n/index.jsx';
+import { PALETTE_KEYS } from './theme/tokens.js';
+
+// -----------------------------------------------------------------------------
+// CUSTOM CURSOR
+// -----------------------------------------------------------------------------
+// A dot that follows the pointer and takes on the state of whatever it is over
+// (see input/cursor.js for the data attributes). Over a magnetic element it
+// wraps the element's bounds instead, and the element leans a little toward
+// the pointer. Positions run through motion values, so moving the pointer
+// only re-renders when the hovered target changes.
+
+const CURSOR_SPRING = { type: 'spring', stiffness: 500, damping: 28 };
+const MAGNETIC_SPRING = { type: 'spring', stiffness: 150, damping: 15, mass: 0.1 };
+// How far a magnetic element (and the cursor around it) follows the pointer off its centre
+const PULL = 0.1;
+// Gap between a magnetic element and the cursor wrapped around it
+const PAD = 8;
+
+const cssColor = (color) => (PALETTE_KEYS.includes(color) ? `var(--vero-${color.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)})` : color);
+
+// Viewport box of a magnetic target, or null
+const measure = (element) => {
+  const { left, top, width, height } = element.getBoundingClientRect();
+  const radius = Math.min(parseFloat(getComputedStyle(element).borderTopLeftRadius) || 0, height / 2);
+  return { left, top, width, height, radius };
+};
+
+const CursorDot = () => {
+  const { t } = useI18n();
+  const { clientX, clientY } = usePointerMotion();
+  const reducedMotion = useReducedMotion();
+  // 'drag' / 'dragging' while the pointer is over / holding the 3D shape
+  const mode = useCursorMode();
+  const [target, setTarget] = useState(null);
+  const cursor = resolveCursor(target, mode);
+  // The magnetic box: state for the size, ref for per-move positioning (kept fresh on scroll)
+  const [box, setBox] = useState(null);
+  const snap = useRef(null);
+
+  useEffect(() => {
+    // Only re-renders when the closest cursor target changes (React bails out on the same element)
+    const handleMouseOver = (e) => setTarget(e.target.closest?.(CURSOR_TARGETS) || null);
+    window.addEventListener('mouseover', handleMouseOver);
+    return () => window.removeEventListener('mouseover', handleMouseOver);
+  }, []);
+
+  const magnetic = cursor.magnetic && mode === 'default' ? target : null;
+
+  // Snap to the magnetic target and pull it toward the pointer; let go on leave
+  useEffect(() => {
+    if (!magnetic) {
+      snap.current = null;
+      setBox(null);
+      return undefined;
+    }
+    snap.current = measure(magnetic);
+    setBox(snap.current);
+    const remeasure = () => { snap.current = measure(magnetic); };
+    const pull = (e) => {
+      const box = snap.current;
+      if (reducedMotion || !box) return;
+      animate(magnetic, { x: (e.clientX - box.left - box.width / 2) * PULL, y: (e.clientY - box.top - box.height / 2) * PULL }, MAGNETIC_SPRING);
+    };
+    window.addEventListener('pointermove', pull);
+    window.addEventListener('scroll', remeasure, { passive: true });
+    return () => {
+      window.removeEventListener('pointermove', pull);
+      window.removeEventListener('scroll', remeasure);
+      animate(magnetic, { x: 0, y: 0 }, MAGNETIC_SPRING);
+    };
+  }, [magnetic, reducedMotion]);
+
+  // Top-left corner: centred on the pointer, or wrapped around the (pulled) magnetic box
+  const half = useMotionValue(cursor.size / 2);
+  useEffect(() => { half.set(cursor.size / 2); }, [cursor.size, half]);
+  const place = (axis) => ([pointer, offset]) => {
+    const box = snap.current;
+    if (!box) return pointer - offset;
+    const start = axis === 'x' ? box.left : box.top;
+    const length = axis === 'x' ? box.width : box.height;
+    return start - PAD + (reducedMotion ? 0 : (pointer - start - length / 2) * PULL);
+  };
+  const x = useSpring(useTransform([clientX, half], place('x')), CURSOR_SPRING);
+  const y = useSpring(useTransform([clientY, half], place('y')), CURSOR_SPRING);
+
+  // Re-place at once when the snap target changes, not only on the next pointer move
+  useEffect(() => {
+    x.set(place('x')([clientX.get(), half.get()]));
+    y.set(place('y')([clientY.get(), half.get()]));
+  }, [magnetic]);
+
+  const Icon = getCursorIcon(cursor.icon);
+  const label = cursor.text || (cursor.label && t(cursor.label));
+  const filled = Boolean(cursor.color);
+
+  return (
+    <motion.div
+      aria-hidden="true"
+      data-custom-cursor
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: '0.375rem',
+        overflow: 'hidden',
+        boxSizing: 'border-box',
+        // Plain states invert whatever is underneath; coloured ones sit on top of it
+        backgroundColor: box ? 'transparent' : filled ? cssColor(cursor.color) : 'white',
+        border: box ? '1px solid white' : 'none',
+        color: 'var(--vero-on-accent)',
+        mixBlendMode: filled && !box ? 'normal' : 'difference',
+        fontFamily: 'Space Mono, monospace',
+        fontSize: '0.625rem',
+        fontWeight: 'bold',
+        textTransform: 'uppercase',
+        letterSpacing: '0.1em',
+        whiteSpace: 'nowrap',
+        pointerEvents: 'none',
+        zIndex: 9999,
+        x,
+        y
+      }}
+      animate={box ? {
+        width: box.width + PAD * 2,
+        height: box.height + PAD * 2,
+        borderRadius: box.radius + PAD
+      } : {
+        width: cursor.size,
+        height: cursor.size,
+        borderRadius: cursor.size / 2
+      }}
+      transition={CURSOR_SPRING}
+    >
+      {!box && Icon && <Icon size={14} />}
+      {!box && label}
+    </motion.div>
+  );
+};
+
+// Only where there is a hovering pointer to follow; on touch screens it would
+// just sit wherever the last tap landed
+export const Cursor = () => (useFinePointer() ? <CursorDot /> : null);
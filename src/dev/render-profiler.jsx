@@ -0,0 +1,90 @@
+import React, { Profiler, useEffect, useRef, useState } from 'react';
+
+// -----------------------------------------------------------------------------
+// RENDER PROFILER (dev harness)
+// -----------------------------------------------------------------------------
+// Load the site with `?profile` under `vite dev` to count React commits per
+// wrapped subtree. "Pointer sweep" replays synthetic mouse moves across the
+// viewport and reports the commits they caused; anything above zero means a
+// pointer handler is setting React state again. Production builds leave it out
+// entirely, whatever the query string says.
+
+const enabled = import.meta.env.DEV && typeof window !== 'undefined' && new URLSearchParams(window.location.search).has('profile');
+
+const counts = {};
+
+const onRender = (id) => { counts[id] = (counts[id] || 0) + 1; };
+
+export const RenderProfiler = ({ id, children }) => (
+  enabled ? <Profiler id={id} onRender={onRender}>{children}</Profiler> : children
+);
+
+const nextFrame = () => new Promise((resolve) => requestAnimationFrame(resolve));
+
+// Dispatches moves on whatever element is under each point, so the pointer
+// store, magnetic pulls and the cursor's hover targets all see them
+export const runPointerSweep = async ({ moves = 120 } = {}) => {
+  const before = { ...counts };
+
+  for (let i = 0; i < moves; i++) {
+    const clientX = (i / moves) * window.innerWidth;
+    const clientY = (0.5 + 0.4 * Math.sin((i / moves) * Math.PI * 4)) * window.innerHeight;
+    const target = document.elementFromPoint(clientX, clientY) || document.body;
+    target.dispatchEvent(new PointerEvent('pointermove', { clientX, clientY, bubbles: true }));
+    target.dispatchEvent(new MouseEvent('mouseover', { clientX, clientY, bubbles: true }));
+    await nextFrame();
+  }
+
+  return Object.fromEntries(Object.keys(counts).map((id) => [id, counts[id] - (before[id] || 0)]));
+};
+
+export const RenderProfilerOverlay = () => {
+  const [snapshot, setSnapshot] = useState({});
+  const [sweep, setSweep] = useState(null);
+  // Shown only after hydration; the prerendered markup never has the overlay
+  const [mounted, setMounted] = useState(false);
+  const running = useRef(false);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    setMounted(true);
+    // Console access for scripted checks: await __veroProfiler.runPointerSweep()
+    window.__veroProfiler = { counts, runPointerSweep };
+    const id = setInterval(() => setSnapshot({ ...counts }), 1000);
+    return () => clearInterval(id);
+  }, []);
+
+  if (!mounted) return null;
+
+  const handleSweep = async () => {
+    if (running.current) return;
+    running.current = true;
+    setSweep('running');
+    setSweep(await runPointerSweep());
+    running.current = false;
+  };
+
+  const cell = { padding: '0.125rem 0.75rem 0.125rem 0', textAlign: 'left' };
+
+  return (
+    <div style={{ position: 'fixed', top: '1rem', right: '1rem', zIndex: 9998, padding: '0.75rem', background: 'rgba(0,0,0,0.8)', border: '1px solid var(--vero-line)', fontFamily: 'Space Mono, monospace', fontSize: '0.75rem', color: 'white' }}>
+      <table style={{ borderCollapse: 'collapse' }}>
+        <thead>
+          <tr style={{ color: 'var(--vero-accent)' }}><th style={cell}>Subtree</th><th style={cell}>Commits</th><th style={cell}>Sweep</th></tr>
+        </thead>
+        <tbody>
+          {Object.keys(snapshot).sort().map((id) => (
+            <tr key={id}>
+              <td style={cell}>{id}</td>
+              <td style={cell}>{snapshot[id]}</td>
+              <td style={{ ...cell, color: sweep?.[id] ? 'var(--vero-danger)' : undefined }}>{sweep && sweep !== 'running' ? sweep[id] : '—'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button type="button" onClick={handleSweep} disabled={sweep === 'running'} style={{ marginTop: '0.5rem', padding: '0.25rem 0.75rem', background: 'var(--vero-accent)', color: 'var(--vero-on-accent)', border: 'none', borderRadius: '9999px', fontFamily: 'inherit', fontSize: '0.75rem', cursor: 'pointer' }}>
+        {sweep === 'running' ? 'Sweeping…' : 'Pointer sweep'}
+      </button>
+    </div>
+  );
+};
@@ -0,0 +1,194 @@
+import React, { useRef, useState } from 'react';
+import { setTheme, useTheme } from '../theme/index.js';
+import { ENVIRONMENTS, PALETTE_KEYS, SCHEMES, THEMES, resolveTheme } from '../theme/tokens.js';
+
+// -----------------------------------------------------------------------------
+// THEME TUNING PANEL (dev harness)
+// -----------------------------------------------------------------------------
+// Load the site with `?tune` under `vite dev` to edit the live theme: palette,
+// glass material, lighting and sparkles. Every change applies at once. "Export"
+// saves only what differs from the base theme, in the shape the site loads:
+// drop the file in public/themes/ and open the site with `?theme=<name>`.
+
+// [key, min, max, step]
+const MATERIAL_RANGES = [
+  ['roughness', 0, 1, 0.01],
+  ['ior', 1, 2.5, 0.01],
+  ['chromaticAberration', 0, 1, 0.01],
+  ['thickness', 0, 3, 0.05],
+  ['anisotropy', 0, 1, 0.01],
+  ['clearcoat', 0, 1, 0.01]
+];
+const LIGHTING_RANGES = [
+  ['ambient', 0, 3, 0.05],
+  ['key', 0, 10, 0.1],
+  ['fill', 0, 10, 0.1],
+  ['ring', 0, 10, 0.1]
+];
+const SPARKLE_RANGES = [
+  ['size', 0, 10, 0.1],
+  ['speed', 0, 2, 0.05],
+  ['opacity', 0, 1, 0.01],
+  ['density', 0, 3, 0.05]
+];
+
+// Keys of `values` that differ from `base`, or undefined when none do
+const changed = (values, base) => {
+  const entries = Object.entries(values).filter(([key, value]) => value !== base[key]);
+  return entries.length ? Object.fromEntries(entries) : undefined;
+};
+
+// A theme file: the base it extends plus only the values that differ from it
+const exportTheme = (theme, baseName, name) => {
+  const base = THEMES[baseName];
+  const scene = {
+    material: changed(theme.scene.material, base.scene.material),
+    hoverAberration: theme.scene.hoverAberration !== base.scene.hoverAberration ? theme.scene.hoverAberration : undefined,
+    lighting: changed(theme.scene.lighting, base.scene.lighting),
+    sparkles: changed(theme.scene.sparkles, base.scene.sparkles)
+  };
+  // JSON.stringify drops the undefined entries
+  return {
+    name,
+    extends: baseName,
+    scheme: theme.scheme !== base.scheme ? theme.scheme : undefined,
+    palette: changed(theme.palette, base.palette),
+    scene: Object.values(scene).some((value) => value !== undefined) ? scene : undefined
+  };
+};
+
+const download = (filename, text) => {
+  const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const labelStyle = { display: 'grid', gridTemplateColumns: '9rem 1fr 3rem', alignItems: 'center', gap: '0.5rem', marginBottom: '0.25rem' };
+const headingStyle = { margin: '0.75rem 0 0.375rem', color: 'var(--vero-accent)', fontSize: '0.75rem', fontWeight: 'bold', textTransform: 'uppercase', letterSpacing: '0.1em' };
+const buttonStyle = { padding: '0.25rem 0.75rem', background: 'var(--vero-accent)', color: 'var(--vero-on-accent)', border: 'none', borderRadius: '9999px', fontFamily: 'inherit', fontSize: '0.75rem', cursor: 'pointer' };
+const fieldStyle = { background: 'transparent', color: 'inherit', border: '1px solid rgba(255,255,255,0.2)', fontFamily: 'inherit', fontSize: '0.75rem' };
+
+const Slider = ({ label, value, min, max, step, onChange }) => (
+  <label style={labelStyle}>
+    <span>{label}</span>
+    <input type="range" min={min} max={max} step={step} value={value} onChange={(e) => onChange(Number(e.target.value))} />
+    <span style={{ textAlign: 'right' }}>{value}</span>
+  </label>
+);
+
+export const ThemePanel = () => {
+  const theme = useTheme();
+  const [baseName, setBaseName] = useState(theme.name in THEMES ? theme.name : 'dark');
+  const [name, setName] = useState('custom');
+  const [status, setStatus] = useState(null);
+  const [open, setOpen] = useState(true);
+  const fileInput = useRef();
+
+  const editPalette = (key, value) => setTheme({ ...theme, palette: { ...theme.palette, [key]: value } });
+  const editScene = (group, key, value) => setTheme({ ...theme, scene: { ...theme.scene, [group]: { ...theme.scene[group], [key]: value } } });
+
+  const handleBase = (next) => {
+    setBaseName(next);
+    setTheme(THEMES[next]);
+    setStatus(null);
+  };
+
+  const handleExport = async () => {
+    const text = `${JSON.stringify(exportTheme(theme, baseName, name), null, 2)}\n`;
+    download(`${name}.json`, text);
+    try {
+      await navigator.clipboard.writeText(text);
+      setStatus(`Saved ${name}.json (also copied)`);
+    } catch {
+      setStatus(`Saved ${name}.json`);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const input = JSON.parse(await file.text());
+      setTheme(resolveTheme(input, file.name));
+      setBaseName(input.extends || 'dark');
+      if (input.name) setName(input.name);
+      setStatus(`Loaded ${file.name}`);
+    } catch (error) {
+      setStatus(error.message);
+    }
+  };
+
+  return (
+    <div style={{ position: 'fixed', top: '1rem', left: '1rem', zIndex: 9998, width: '22rem', maxHeight: 'calc(100dvh - 2rem)', overflowY: 'auto', padding: '0.75rem', boxSizing: 'border-box', background: 'rgba(0,0,0,0.85)', border: '1px solid rgba(255,255,255,0.2)', fontFamily: 'Space Mono, monospace', fontSize: '0.75rem', color: 'white' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <strong style={{ color: 'var(--vero-accent)' }}>Theme</strong>
+        <button type="button" onClick={() => setOpen(!open)} style={{ ...buttonStyle, background: 'transparent', color: 'white' }}>{open ? 'Hide' : 'Show'}</button>
+      </div>
+
+      {open && (
+        <>
+          <label style={labelStyle}>
+            <span>Base</span>
+            <select value={baseName} onChange={(e) => handleBase(e.target.value)} style={fieldStyle}>
+              {Object.keys(THEMES).map((key) => <option key={key} value={key}>{key}</option>)}
+            </select>
+          </label>
+          <label style={labelStyle}>
+            <span>Scheme</span>
+            <select value={theme.scheme} onChange={(e) => setTheme({ ...theme, scheme: e.target.value })} style={fieldStyle}>
+              {SCHEMES.map((scheme) => <option key={scheme} value={scheme}>{scheme}</option>)}
+            </select>
+          </label>
+
+          <h3 style={headingStyle}>Palette</h3>
+          {PALETTE_KEYS.map((key) => (
+            <label key={key} style={labelStyle}>
+              <span>{key}</span>
+              <input type="color" value={theme.palette[key]} onChange={(e) => editPalette(key, e.target.value)} style={{ ...fieldStyle, width: '100%', height: '1.5rem', padding: 0 }} />
+              <span style={{ textAlign: 'right' }}>{theme.palette[key]}</span>
+            </label>
+          ))}
+
+          <h3 style={headingStyle}>Glass</h3>
+          {MATERIAL_RANGES.map(([key, min, max, step]) => (
+            <Slider key={key} label={key} value={theme.scene.material[key]} min={min} max={max} step={step} onChange={(value) => editScene('material', key, value)} />
+          ))}
+          <Slider label="hoverAberration" value={theme.scene.hoverAberration} min={0} max={2} step={0.05} onChange={(value) => setTheme({ ...theme, scene: { ...theme.scene, hoverAberration: value } })} />
+
+          <h3 style={headingStyle}>Lighting</h3>
+          <label style={labelStyle}>
+            <span>environment</span>
+            <select value={theme.scene.lighting.environment} onChange={(e) => editScene('lighting', 'environment', e.target.value)} style={fieldStyle}>
+              {ENVIRONMENTS.map((preset) => <option key={preset} value={preset}>{preset}</option>)}
+            </select>
+          </label>
+          {LIGHTING_RANGES.map(([key, min, max, step]) => (
+            <Slider key={key} label={key} value={theme.scene.lighting[key]} min={min} max={max} step={step} onChange={(value) => editScene('lighting', key, value)} />
+          ))}
+
+          <h3 style={headingStyle}>Sparkles</h3>
+          {SPARKLE_RANGES.map(([key, min, max, step]) => (
+            <Slider key={key} label={key} value={theme.scene.sparkles[key]} min={min} max={max} step={step} onChange={(value) => editScene('sparkles', key, value)} />
+          ))}
+
+          <h3 style={headingStyle}>File</h3>
+          <label style={labelStyle}>
+            <span>Name</span>
+            <input value={name} onChange={(e) => setName(e.target.value.toLowerCase().replace(/[^a-z0-9-]/g, ''))} style={fieldStyle} />
+          </label>
+          <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', marginTop: '0.5rem' }}>
+            <button type="button" onClick={handleExport} disabled={!name} style={buttonStyle}>Export</button>
+            <button type="button" onClick={() => fileInput.current.click()} style={buttonStyle}>Import</button>
+            <button type="button" onClick={() => handleBase(baseName)} style={{ ...buttonStyle, background: 'transparent', color: 'white', border: '1px solid rgba(255,255,255,0.2)' }}>Reset</button>
+            <input ref={fileInput} type="file" accept="application/json,.json" onChange={handleImport} hidden />
+          </div>
+          {status && <p style={{ margin: '0.5rem 0 0', color: 'rgba(255,255,255,0.7)' }}>{status}</p>}
+        </>
+      )}
+    </div>
+  );
+};
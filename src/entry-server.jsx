@@ -0,0 +1,22 @@
+import React from 'react'
+import { renderToString } from 'react-dom/server'
+import { Root } from './root.jsx'
+import { ROUTES } from './app.jsx'
+import { matchRoutes } from './router.jsx'
+import { getPageMeta, renderHeadTags } from './seo.js'
+import { LOCALES, splitLocale } from './i18n/locales.js'
+
+// Build-time entry used by the prerender plugin in vite.config.js
+export { PRERENDER_PATHS, OFFLINE_PAGES, renderSitemap, renderRobots, renderRssFeed, renderAtomFeed } from './seo.js'
+export { OFFLINE_ASSETS } from './pwa/assets.js'
+
+// `lang` / `dir` go on the page's <html> element
+export const render = (pathname) => {
+  const { locale, path } = splitLocale(pathname)
+  return {
+    html: renderToString(<Root location={{ pathname, hash: '', state: {} }} />),
+    head: renderHeadTags(getPageMeta(matchRoutes(ROUTES, path), locale)),
+    lang: locale,
+    dir: LOCALES[locale].dir
+  }
+}
@@ -0,0 +1,26 @@
+import React from 'react';
+import { reportError } from './report.js';
+
+// -----------------------------------------------------------------------------
+// ERROR BOUNDARY
+// -----------------------------------------------------------------------------
+// Renders `fallback` instead of a crashed subtree and reports the error under
+// `scope`. Remount it (change its `key`) to try the subtree again.
+
+export class ErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { hasError: false };
+  }
+
+  static getDerivedStateFromError() { return { hasError: true }; }
+
+  componentDidCatch(error, info) {
+    reportError(error, { scope: this.props.scope, componentStack: info.componentStack });
+  }
+
+  render() {
+    if (this.state.hasError) return this.props.fallback ?? null;
+    return this.props.children;
+  }
+}
@@ -0,0 +1,43 @@
+// -----------------------------------------------------------------------------
+// ERROR REPORTING
+// -----------------------------------------------------------------------------
+// Runtime failures go through reportError() instead of onto the page. The
+// default reporter logs to the console and, when VITE_ERROR_ENDPOINT is set,
+// beacons a small JSON payload there. setErrorReporter() swaps in anything else
+// (an error-tracking SDK, a test spy).
+
+const ENDPOINT = import.meta.env?.VITE_ERROR_ENDPOINT;
+
+const toError = (error) => (error instanceof Error ? error : new Error(String(error?.message || error)));
+
+const defaultReporter = (error, context) => {
+  console.error(`[${context.scope || 'app'}]`, error, context);
+  if (!ENDPOINT || typeof navigator === 'undefined' || !navigator.sendBeacon) return;
+
+  const payload = {
+    message: error.message,
+    name: error.name,
+    stack: error.stack,
+    ...context,
+    url: window.location.href,
+    userAgent: navigator.userAgent,
+    time: new Date().toISOString()
+  };
+  navigator.sendBeacon(ENDPOINT, new Blob([JSON.stringify(payload)], { type: 'application/json' }));
+};
+
+let reporter = defaultReporter;
+
+// `fn(error, context)`; pass nothing to restore the default
+export const setErrorReporter = (fn) => {
+  reporter = fn || defaultReporter;
+};
+
+// `context.scope` names the part of the site that failed ('app', 'scene', ...)
+export const reportError = (error, context = {}) => {
+  try {
+    reporter(toError(error), context);
+  } catch {
+    // A broken reporter must never take the page down with it
+  }
+};
@@ -0,0 +1,76 @@
+import React, { createContext, useContext, useEffect, useMemo } from 'react';
+import { useRouter } from '../router.jsx';
+import { DEFAULT_LOCALE, LOCALES, localizePath, readStoredLocale, splitLocale } from './locales.js';
+import en from './messages/en.json';
+import hi from './messages/hi.json';
+import ar from './messages/ar.json';
+
+// -----------------------------------------------------------------------------
+// TRANSLATION
+// -----------------------------------------------------------------------------
+// Interface copy comes from flat message catalogs (messages/<locale>.json);
+// content copy is localized by the content loader instead. `t(key, vars)`
+// fills `{name}` placeholders; a placeholder given a React element (a link, say)
+// makes it return renderable parts instead of a string.
+
+const CATALOGS = { en, hi, ar };
+
+if (import.meta.env?.DEV) {
+  Object.entries(CATALOGS).forEach(([locale, catalog]) => {
+    const missing = Object.keys(CATALOGS[DEFAULT_LOCALE]).filter((key) => !(key in catalog));
+    if (missing.length) console.warn(`[i18n] ${locale} is missing ${missing.join(', ')}`);
+  });
+}
+
+const interpolate = (template, vars) => {
+  // Odd entries are placeholder names
+  const parts = template.split(/\{(\w+)\}/);
+  const plain = Object.values(vars).every((value) => typeof value === 'string' || typeof value === 'number');
+  if (plain) return parts.map((part, i) => (i % 2 ? String(vars[part] ?? `{${part}}`) : part)).join('');
+  return parts.map((part, i) => <React.Fragment key={i}>{i % 2 ? vars[part] : part}</React.Fragment>);
+};
+
+// Missing keys fall back to English, then to the key itself: visibly wrong, never blank
+export const translate = (locale, key, vars) => {
+  const template = CATALOGS[locale]?.[key] ?? CATALOGS[DEFAULT_LOCALE][key] ?? key;
+  return vars ? interpolate(template, vars) : template;
+};
+
+const createValue = (locale) => ({
+  locale,
+  dir: LOCALES[locale].dir,
+  t: (key, vars) => translate(locale, key, vars),
+  // Prefixes an unprefixed site path ('/work/obsidian', '/#contact') with this locale
+  localize: (path) => localizePath(path, locale)
+});
+
+const I18nContext = createContext(createValue(DEFAULT_LOCALE));
+
+// `locale` comes from the URL (see splitLocale); <html lang dir> follows it
+// here, and the prerenderer writes the same attributes into the static pages
+export const I18nProvider = ({ locale, children }) => {
+  const value = useMemo(() => createValue(locale), [locale]);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = value.dir;
+  }, [locale, value.dir]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export const useI18n = () => useContext(I18nContext);
+
+// A visitor who picked a language in the switcher gets it back when they
+// arrive on an unprefixed (English) URL. A prefixed URL is an explicit choice
+// and is left alone.
+export const useRememberedLocale = () => {
+  const { location, navigate } = useRouter();
+
+  useEffect(() => {
+    const stored = readStoredLocale();
+    if (!stored || stored === DEFAULT_LOCALE) return;
+    if (splitLocale(location.pathname).locale !== DEFAULT_LOCALE) return;
+    navigate(`${localizePath(location.pathname, stored)}${location.hash}`, { replace: true });
+  }, []);
+};
@@ -0,0 +1,47 @@
+// -----------------------------------------------------------------------------
+// LOCALES
+// -----------------------------------------------------------------------------
+// English lives at the root (/, /work/:slug); every other locale is the same
+// tree under its own prefix (/hi/, /ar/work/:slug). Routes are matched on the
+// path with the prefix stripped, so ROUTES never needs to know about locales.
+
+export const LOCALES = {
+  en: { label: 'English', dir: 'ltr', ogLocale: 'en_IN' },
+  hi: { label: 'हिन्दी', dir: 'ltr', ogLocale: 'hi_IN' },
+  ar: { label: 'العربية', dir: 'rtl', ogLocale: 'ar_AE' }
+};
+
+export const DEFAULT_LOCALE = 'en';
+export const LOCALE_CODES = Object.keys(LOCALES);
+
+const STORAGE_KEY = 'vero:locale';
+
+export const isLocale = (code) => Object.prototype.hasOwnProperty.call(LOCALES, code);
+
+// '/ar/work/obsidian' -> { locale: 'ar', path: '/work/obsidian' }; unprefixed paths are English
+export const splitLocale = (pathname) => {
+  const [, first, ...rest] = pathname.split('/');
+  if (first === DEFAULT_LOCALE || !isLocale(first)) return { locale: DEFAULT_LOCALE, path: pathname };
+  return { locale: first, path: `/${rest.join('/')}` };
+};
+
+// '/#work' in 'hi' -> '/hi/#work'; `path` is always written without a prefix
+export const localizePath = (path, locale) => (locale === DEFAULT_LOCALE ? path : `/${locale}${path}`);
+
+// Only an explicit pick in the switcher is remembered, never the URL someone arrived on
+export const readStoredLocale = () => {
+  try {
+    const value = localStorage.getItem(STORAGE_KEY);
+    return isLocale(value) ? value : null;
+  } catch {
+    return null;
+  }
+};
+
+export const storeLocale = (locale) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, locale);
+  } catch {
+    // Without storage the choice holds for this visit only
+  }
+};
@@ -0,0 +1,38 @@
+import React from 'react';
+import { Link, useRouter } from '../router.jsx';
+import { LOCALES, LOCALE_CODES, localizePath, splitLocale, storeLocale } from './locales.js';
+import { useI18n } from './index.jsx';
+
+// -----------------------------------------------------------------------------
+// LANGUAGE SWITCHER
+// -----------------------------------------------------------------------------
+// Links to the current page in every locale. Following one remembers the
+// choice (see useRememberedLocale); each label is written in its own language.
+
+export const LocaleSwitcher = ({ onSwitch, style }) => {
+  const { location } = useRouter();
+  const { locale: current } = useI18n();
+  const { path } = splitLocale(location.pathname);
+
+  return (
+    <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexWrap: 'wrap', gap: '1.5rem' }}>
+      {LOCALE_CODES.map((locale) => (
+        <li key={locale}>
+          <Link
+            to={`${localizePath(path, locale)}${location.hash}`}
+            lang={locale}
+            hrefLang={locale}
+            aria-current={locale === current ? 'true' : undefined}
+            onClick={() => {
+              storeLocale(locale);
+              if (onSwitch) onSwitch(locale);
+            }}
+            style={{ ...style, color: locale === current ? 'var(--vero-accent)' : 'var(--vero-text)' }}
+          >
+            {LOCALES[locale].label}
+          </Link>
+        </li>
+      ))}
+    </ul>
+  );
+};
@@ -0,0 +1,93 @@
+import { useSyncExternalStore } from 'react';
+import { ArrowUpRight, Mail, Move, Play } from 'lucide-react';
+
+// -----------------------------------------------------------------------------
+// CURSOR STATES
+// -----------------------------------------------------------------------------
+// What the custom cursor shows is declared on the page, not in the cursor:
+//   data-cursor="view"           a registered state (built-ins below)
+//   data-cursor-label="Open"     text inside the cursor, instead of the state's
+//   data-cursor-icon="mail"      a registered icon
+//   data-cursor-size="96"        diameter in px
+//   data-cursor-color="accent"   palette colour name or any CSS colour
+//   data-cursor-magnetic         the cursor snaps to the element's bounds and
+//                                the element leans toward the pointer
+// Links and buttons without attributes get the `link` state. New states are a
+// registerCursorState() call away; the Cursor component never needs to change.
+//
+// Code outside the DOM tree (the WebGL scene) sets a mode instead, which wins
+// over whatever is hovered. Only the Cursor subscribes, so a mode change
+// re-renders the dot and nothing else.
+//   'default'   follow the hovered element
+//   'drag'      hovering something that can be grabbed
+//   'dragging'  holding it
+
+// { size, label?: message key, icon?: name, color?: palette name or CSS colour, magnetic? }
+const states = new Map();
+const icons = new Map();
+
+export const registerCursorState = (name, { size = 16, label = null, icon = null, color = null, magnetic = false } = {}) => {
+  states.set(name, { size, label, icon, color, magnetic });
+};
+
+export const registerCursorIcon = (name, component) => icons.set(name, component);
+
+export const getCursorIcon = (name) => icons.get(name) || null;
+
+registerCursorState('default');
+registerCursorState('link', { size: 48 });
+registerCursorState('view', { size: 96, label: 'cursor.view', color: 'accent' });
+registerCursorState('drag', { size: 72, label: 'cursor.drag', icon: 'move' });
+registerCursorState('dragging', { size: 32 });
+registerCursorState('email', { size: 96, label: 'cursor.email', icon: 'mail', color: 'accent' });
+registerCursorState('play', { size: 96, icon: 'play', color: 'accent' });
+
+registerCursorIcon('arrow', ArrowUpRight);
+registerCursorIcon('mail', Mail);
+registerCursorIcon('move', Move);
+registerCursorIcon('play', Play);
+
+// Elements that change the cursor when hovered
+export const CURSOR_TARGETS = '[data-cursor], [data-cursor-magnetic], a[href], button';
+
+// The state to show: a mode set from code first, then the hovered element's
+// attributes layered over its named state. `label` stays a message key unless
+// the element gave literal text (`text`).
+export const resolveCursor = (element, mode = 'default') => {
+  if (mode !== 'default' && states.has(mode)) return { name: mode, ...states.get(mode), text: null };
+  if (!element) return { name: 'default', ...states.get('default'), text: null };
+
+  const { cursor, cursorLabel, cursorIcon, cursorSize, cursorColor, cursorMagnetic } = element.dataset;
+  if (cursor && !states.has(cursor) && import.meta.env?.DEV) console.warn(`[cursor] unknown state "${cursor}"`);
+  const name = states.has(cursor) ? cursor : 'link';
+  const state = states.get(name);
+  const size = Number(cursorSize);
+
+  return {
+    name,
+    ...state,
+    text: cursorLabel || null,
+    icon: cursorIcon || state.icon,
+    size: size > 0 ? size : state.size,
+    color: cursorColor || state.color,
+    magnetic: cursorMagnetic !== undefined || state.magnetic
+  };
+};
+
+let mode = 'default';
+const listeners = new Set();
+
+export const setCursorMode = (next) => {
+  if (next === mode) return;
+  mode = next;
+  listeners.forEach((listener) => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const getMode = () => mode;
+
+export const useCursorMode = () => useSyncExternalStore(subscribe, getMode, getMode);
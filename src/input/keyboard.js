@@ -0,0 +1,35 @@
+import { useEffect, useRef } from 'react';
+
+// -----------------------------------------------------------------------------
+// SECTION SHORTCUTS
+// -----------------------------------------------------------------------------
+// j and k step to the next / previous section. The arrow keys and Page Up /
+// Page Down stay with the browser, which scrolls with them. Keys typed into
+// form fields, held with a modifier, or pressed inside a dialog (menu, contact
+// form) are left alone.
+
+const STEPS = { j: 1, k: -1 };
+
+const isEditable = (element) => Boolean(element?.closest?.('input, textarea, select, [contenteditable=""], [contenteditable="true"]'));
+
+// `onStep(1 | -1)`; only listens while `enabled`
+export const useSectionShortcuts = ({ enabled, onStep }) => {
+  // Latest handler without re-attaching the listener on every render
+  const handler = useRef(onStep);
+  handler.current = onStep;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const onKeyDown = (e) => {
+      const step = STEPS[e.key];
+      if (!step || e.defaultPrevented || e.metaKey || e.ctrlKey || e.altKey || e.shiftKey) return;
+      if (isEditable(e.target) || e.target.closest?.('[role="dialog"]')) return;
+      e.preventDefault();
+      handler.current(step);
+    };
+
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [enabled]);
+};
@@ -0,0 +1,21 @@
+import { useCallback, useSyncExternalStore } from 'react';
+
+// -----------------------------------------------------------------------------
+// MEDIA QUERIES
+// -----------------------------------------------------------------------------
+// Live matchMedia result. The prerendered HTML is built without a window, so
+// hydration renders `serverValue` first and React re-renders with the real
+// answer right after, instead of tripping over a markup mismatch.
+
+export const useMediaQuery = (query, serverValue = false) => {
+  const subscribe = useCallback((onChange) => {
+    const list = window.matchMedia?.(query);
+    if (!list) return () => {};
+    list.addEventListener('change', onChange);
+    return () => list.removeEventListener('change', onChange);
+  }, [query]);
+
+  const getSnapshot = () => Boolean(window.matchMedia?.(query).matches);
+
+  return useSyncExternalStore(subscribe, getSnapshot, () => serverValue);
+};
@@ -0,0 +1,144 @@
+import { useEffect } from 'react';
+import { motionValue } from 'framer-motion';
+import { useMediaQuery } from './media-query.js';
+
+// -----------------------------------------------------------------------------
+// SHARED POINTER STORE
+// -----------------------------------------------------------------------------
+// Window listeners feed a mutable object (read every frame inside useFrame)
+// and framer-motion MotionValues (for DOM effects). Nothing here touches React
+// state, so moving the pointer never re-renders the tree.
+//
+// Mouse, pen and touch all arrive as pointer events. On phones and tablets the
+// device tilt (deviceorientation) takes over the parallax signal once it is
+// streaming, so the scene responds without a finger on the screen. iOS only
+// delivers orientation events after a permission prompt, which has to come
+// from a user gesture: we ask on the first tap, and if the visitor says no,
+// touch keeps driving the parallax exactly as before.
+
+const pointer = {
+  // Parallax signal normalized to -1..1, y pointing up (three.js convention)
+  x: 0,
+  y: 0,
+  // Raw viewport pixels of the last mouse / pen / touch contact
+  clientX: 0,
+  clientY: 0,
+  // What last moved the parallax: 'mouse' | 'pen' | 'touch' | 'tilt'
+  source: 'mouse'
+};
+
+const clientX = motionValue(0);
+const clientY = motionValue(0);
+
+let attached = false;
+
+// 'unsupported' | 'prompt' | 'granted' | 'denied'
+let tiltPermission = 'unsupported';
+let tiltActive = false;
+
+const clamp = (value) => Math.max(-1, Math.min(1, value));
+
+const handlePointer = (e) => {
+  pointer.clientX = e.clientX;
+  pointer.clientY = e.clientY;
+  clientX.set(e.clientX);
+  clientY.set(e.clientY);
+
+  // A tilting device already has a better parallax signal than a finger
+  if (tiltActive && e.pointerType === 'touch') return;
+  pointer.x = (e.clientX / window.innerWidth) * 2 - 1;
+  pointer.y = -(e.clientY / window.innerHeight) * 2 + 1;
+  pointer.source = e.pointerType || 'mouse';
+};
+
+// Touch pointers are cancelled as soon as the browser starts scrolling, so keep
+// following the finger through plain touch events
+const handleTouch = (e) => {
+  const touch = e.touches[0];
+  if (touch) handlePointer({ clientX: touch.clientX, clientY: touch.clientY, pointerType: 'touch' });
+};
+
+// Degrees of tilt away from the resting angle that map to the edge of the range
+const TILT_RANGE = 25;
+// How quickly the resting angle follows the way the device is being held
+const TILT_RECENTRE = 0.01;
+const rest = { beta: null, gamma: null };
+
+const handleOrientation = (e) => {
+  if (e.beta === null || e.gamma === null) return;
+
+  // Keep "left/right" and "up/down" relative to the screen in landscape too
+  const angle = window.screen?.orientation?.angle ?? window.orientation ?? 0;
+  let horizontal = e.gamma;
+  let vertical = e.beta;
+  if (angle === 90) [horizontal, vertical] = [e.beta, -e.gamma];
+  else if (angle === -90 || angle === 270) [horizontal, vertical] = [-e.beta, e.gamma];
+  else if (angle === 180) [horizontal, vertical] = [-e.gamma, -e.beta];
+
+  if (rest.gamma === null) {
+    rest.gamma = horizontal;
+    rest.beta = vertical;
+  }
+  rest.gamma += (horizontal - rest.gamma) * TILT_RECENTRE;
+  rest.beta += (vertical - rest.beta) * TILT_RECENTRE;
+
+  tiltActive = true;
+  pointer.x = clamp((horizontal - rest.gamma) / TILT_RANGE);
+  pointer.y = clamp((vertical - rest.beta) / TILT_RANGE);
+  pointer.source = 'tilt';
+};
+
+const listenForTilt = () => window.addEventListener('deviceorientation', handleOrientation, { passive: true });
+
+// iOS 13+: DeviceOrientationEvent.requestPermission() must run inside a user gesture
+const requestTiltPermission = async () => {
+  if (tiltPermission !== 'prompt') return tiltPermission;
+  try {
+    const result = await window.DeviceOrientationEvent.requestPermission();
+    if (result === 'granted') listenForTilt();
+    tiltPermission = result === 'granted' ? 'granted' : 'denied';
+  } catch {
+    // Thrown when not called from a gesture or on an insecure origin; touch parallax stays in charge
+    tiltPermission = 'denied';
+  }
+  return tiltPermission;
+};
+
+const isCoarsePointer = () => Boolean(window.matchMedia?.('(pointer: coarse)').matches);
+
+// Listeners live for the lifetime of the page; attaching from an effect keeps SSR/imports side-effect free
+const attach = () => {
+  if (attached || typeof window === 'undefined') return;
+  attached = true;
+  window.addEventListener('pointermove', handlePointer, { passive: true });
+  window.addEventListener('pointerdown', handlePointer, { passive: true });
+  window.addEventListener('touchmove', handleTouch, { passive: true });
+
+  // Tilt is only worth it where there is no mouse to follow
+  if (!('DeviceOrientationEvent' in window) || !isCoarsePointer()) return;
+  if (typeof window.DeviceOrientationEvent.requestPermission === 'function') {
+    tiltPermission = 'prompt';
+    window.addEventListener('touchend', requestTiltPermission, { once: true });
+  } else {
+    tiltPermission = 'granted';
+    listenForTilt();
+  }
+};
+
+// Live, mutable pointer object. Read it in useFrame / event handlers, never render from it.
+export const usePointer = () => {
+  useEffect(attach, []);
+  return pointer;
+};
+
+// Viewport pixel position as MotionValues, for style bindings and springs
+export const usePointerMotion = () => {
+  useEffect(attach, []);
+  return { clientX, clientY };
+};
+
+const FINE_POINTER_QUERY = '(hover: hover) and (pointer: fine)';
+
+// True when the primary pointer can hover precisely (a mouse or trackpad).
+// Cursor-following effects switch themselves off otherwise.
+export const useFinePointer = () => useMediaQuery(FINE_POINTER_QUERY);
@@ -0,0 +1,83 @@
+import { useEffect } from 'react';
+
+// -----------------------------------------------------------------------------
+// SECTION SCROLL PROGRESS
+// -----------------------------------------------------------------------------
+// Maps the page scroll to a fractional section index: 0 while the first
+// section's centre sits at the viewport centre, 1 at the second's, and so on,
+// with the fraction in between. Like the pointer store it is a mutable object
+// for per-frame reads, never React state.
+//
+// A jump to a section (hash link, back/forward, shortcut) holds `hold` at the
+// destination index while the smooth scroll runs, and sets `snap` so the scene
+// switches to it at once instead of morphing through every section on the way.
+
+const progress = { position: 0, hold: null, snap: false };
+
+// Gives up the hold if the scroll never quite arrives (the last section can sit too low to centre)
+const HOLD_TIMEOUT = 1500;
+
+let sectionIds = [];
+let attached = false;
+let holdTimer = null;
+
+const release = () => {
+  clearTimeout(holdTimer);
+  progress.hold = null;
+};
+
+export const holdSection = (index) => {
+  progress.hold = index;
+  progress.snap = true;
+  clearTimeout(holdTimer);
+  holdTimer = setTimeout(release, HOLD_TIMEOUT);
+};
+
+export const isHoldingSection = () => progress.hold !== null;
+
+const measure = () => {
+  const viewportCentre = window.scrollY + window.innerHeight / 2;
+  const centres = sectionIds
+    .map((id) => document.getElementById(id))
+    .filter(Boolean)
+    .map((el) => {
+      const rect = el.getBoundingClientRect();
+      return rect.top + window.scrollY + rect.height / 2;
+    });
+
+  if (centres.length < 2 || viewportCentre <= centres[0]) {
+    progress.position = 0;
+    return;
+  }
+
+  const last = centres.length - 1;
+  if (viewportCentre >= centres[last]) {
+    progress.position = last;
+    return;
+  }
+
+  const index = centres.findIndex((centre, i) => viewportCentre < centres[i + 1]);
+  progress.position = index + (viewportCentre - centres[index]) / (centres[index + 1] - centres[index]);
+};
+
+const onScroll = () => {
+  measure();
+  if (progress.hold !== null && Math.abs(progress.position - progress.hold) < 0.02) release();
+};
+
+// `ids` are the section element ids in page order
+export const useSectionScroll = (ids) => {
+  useEffect(() => {
+    sectionIds = ids;
+    measure();
+    if (attached) return;
+    attached = true;
+    window.addEventListener('scroll', onScroll, { passive: true });
+    window.addEventListener('resize', measure);
+    // The visitor taking over the scroll ends a jump early
+    window.addEventListener('wheel', release, { passive: true });
+    window.addEventListener('touchstart', release, { passive: true });
+  }, [ids]);
+
+  return progress;
+};
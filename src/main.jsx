@@ -1,9 +1,15 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
-import App from './app.jsx'
+import { Root } from './root.jsx'
+import { registerServiceWorker } from './pwa/register.js'
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-)
+const container = document.getElementById('root')
+
+// Prerendered pages arrive with markup to hydrate; the SPA fallback shell is empty
+if (container.firstElementChild) {
+  ReactDOM.hydrateRoot(container, <Root />)
+} else {
+  ReactDOM.createRoot(container).render(<Root />)
+}
+
+registerServiceWorker()
@@ -0,0 +1,176 @@
+import React, { useEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { X, ArrowUpRight } from 'lucide-react';
+import { getContent } from './content/index.js';
+import { POSTS } from './content/posts.js';
+import { Link } from './router.jsx';
+import { useFocusTrap } from './a11y/focus-trap.js';
+import { setConsent, track } from './analytics/index.js';
+import { useI18n } from './i18n/index.jsx';
+import { LocaleSwitcher } from './i18n/switcher.jsx';
+import { DEFAULT_LOCALE } from './i18n/locales.js';
+
+// -----------------------------------------------------------------------------
+// FULLSCREEN MENU
+// -----------------------------------------------------------------------------
+// Opened from the Navigation menu button. Traps focus while open, closes on
+// Escape or on any navigation, and the opener restores focus once the exit
+// animation has finished.
+
+const kicker = { color: 'var(--vero-accent)', fontFamily: 'Space Mono, monospace', textTransform: 'uppercase', letterSpacing: '0.2em', fontSize: '0.75rem', display: 'block', marginBottom: '1.5rem' };
+
+const list = {
+  hidden: {},
+  visible: { transition: { staggerChildren: 0.06, delayChildren: 0.15 } }
+};
+
+const item = {
+  hidden: { opacity: 0, y: 40 },
+  visible: { opacity: 1, y: 0, transition: { type: 'spring', damping: 20, stiffness: 150 } }
+};
+
+export const sectionLabel = (section, t) => section.nav || (section.layout === 'hero' ? t('menu.home') : section.title);
+
+export const MenuOverlay = ({ activeSection, activeProject, onClose }) => {
+  const { t, locale, localize } = useI18n();
+  const { sections, projects, contact } = getContent(locale);
+  const panel = useRef(null);
+  useFocusTrap(panel);
+
+  useEffect(() => {
+    panel.current?.querySelector('a[href]')?.focus();
+
+    const { overflow } = document.documentElement.style;
+    document.documentElement.style.overflow = 'hidden';
+    return () => { document.documentElement.style.overflow = overflow; };
+  }, []);
+
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Escape') return;
+    // Keep Escape from also closing a page layer underneath
+    e.stopPropagation();
+    onClose();
+  };
+
+  return (
+    <motion.div
+      ref={panel}
+      id="site-menu"
+      role="dialog"
+      aria-modal="true"
+      aria-label={t('menu.label')}
+      onKeyDown={handleKeyDown}
+      initial={{ opacity: 0, clipPath: 'circle(0% at 50% 100%)' }}
+      animate={{ opacity: 1, clipPath: 'circle(150% at 50% 100%)' }}
+      exit={{ opacity: 0, clipPath: 'circle(0% at 50% 100%)' }}
+      transition={{ duration: 0.6, ease: [0.76, 0, 0.24, 1] }}
+      style={{ position: 'fixed', inset: 0, zIndex: 55, overflowY: 'auto', background: 'var(--vero-overlay)', backdropFilter: 'blur(16px)', color: 'var(--vero-text)' }}
+    >
+      <button type="button" onClick={onClose} aria-label={t('menu.close')} style={{ position: 'absolute', top: '2rem', insetInlineEnd: '2rem', width: '3rem', height: '3rem', display: 'flex', alignItems: 'center', justifyContent: 'center', borderRadius: '9999px', background: 'transparent', color: 'var(--vero-text)', border: '1px solid var(--vero-line-strong)', cursor: 'pointer' }}>
+        <X size={20} aria-hidden="true" />
+      </button>
+
+      <div style={{ minHeight: '100%', boxSizing: 'border-box', display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))', gap: '4rem', alignContent: 'center', padding: '6rem' }}>
+        <nav aria-label={t('menu.sections')}>
+          <span style={kicker}>{t('menu.index')}</span>
+          <motion.ol variants={list} initial="hidden" animate="visible" style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+            {sections.map((section, index) => {
+              const active = !activeProject && section.id === activeSection;
+              return (
+                <motion.li key={section.id} variants={item} style={{ marginBottom: '0.5rem' }}>
+                  <Link
+                    to={localize(`/#${section.id}`)}
+                    onClick={() => {
+                      track('nav_click', { target: section.id, source: 'menu' });
+                      onClose();
+                    }}
+                    aria-current={active ? 'location' : undefined}
+                    style={{ display: 'inline-flex', alignItems: 'baseline', gap: '1.5rem', color: active ? 'var(--vero-accent)' : 'var(--vero-text)', textDecoration: 'none', fontFamily: 'Playfair Display, serif', fontSize: 'clamp(2.5rem, 6vw, 4.5rem)', lineHeight: '1.1' }}
+                  >
+                    <span style={{ fontFamily: 'Space Mono, monospace', fontSize: '0.75rem', color: active ? 'var(--vero-accent)' : 'var(--vero-text-subtle)' }}>
+                      {String(index + 1).padStart(2, '0')}
+                    </span>
+                    {sectionLabel(section, t)}
+                  </Link>
+                </motion.li>
+              );
+            })}
+          </motion.ol>
+        </nav>
+
+        <motion.div variants={list} initial="hidden" animate="visible" style={{ display: 'flex', flexDirection: 'column', gap: '3rem', justifyContent: 'center' }}>
+          <motion.nav variants={item} aria-label={t('menu.caseStudies')}>
+            <span style={kicker}>{t('menu.caseStudies')}</span>
+            <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+              {projects.map((project) => {
+                const active = project.slug === activeProject;
+                return (
+                  <li key={project.slug} style={{ marginBottom: '0.75rem' }}>
+                    <Link
+                      to={localize(`/work/${project.slug}`)}
+                      onClick={onClose}
+                      aria-current={active ? 'page' : undefined}
+                      style={{ color: active ? 'var(--vero-accent)' : 'var(--vero-text)', textDecoration: 'none', fontSize: '1.5rem' }}
+                    >
+                      {project.title}
+                    </Link>
+                    <span style={{ display: 'block', fontFamily: 'Space Mono, monospace', fontSize: '0.75rem', color: 'var(--vero-text-subtle)' }}>{project.meta}</span>
+                  </li>
+                );
+              })}
+            </ul>
+          </motion.nav>
+
+          <motion.nav variants={item} aria-label={t('menu.insights')}>
+            <span style={kicker}>{t('menu.insights')}</span>
+            <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+              {POSTS.slice(0, 3).map((post) => (
+                <li key={post.slug} lang={DEFAULT_LOCALE} style={{ marginBottom: '0.75rem' }}>
+                  <Link to={localize(`/insights/${post.slug}`)} onClick={onClose} style={{ color: 'var(--vero-text)', textDecoration: 'none', fontSize: '1.25rem' }}>
+                    {post.title}
+                  </Link>
+                </li>
+              ))}
+            </ul>
+            <Link to={localize('/insights')} onClick={onClose} style={{ display: 'inline-flex', alignItems: 'center', gap: '0.25rem', color: 'var(--vero-text-muted)', textDecoration: 'none', fontFamily: 'Space Mono, monospace', fontSize: '0.875rem', textTransform: 'uppercase', letterSpacing: '0.1em' }}>
+              {t('insights.all')}
+            </Link>
+          </motion.nav>
+
+          <motion.div variants={item}>
+            <span style={kicker}>{t('menu.contact')}</span>
+            <a href={`mailto:${contact.email}`} data-cursor="email" style={{ color: 'var(--vero-text)', fontSize: '1.5rem', textDecoration: 'none' }}>{contact.email}</a>
+            {contact.location && <span style={{ display: 'block', marginTop: '0.5rem', color: 'var(--vero-text-muted)' }}>{contact.location}</span>}
+          </motion.div>
+
+          {contact.social.length > 0 && (
+            <motion.div variants={item}>
+              <span style={kicker}>{t('menu.follow')}</span>
+              <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexWrap: 'wrap', gap: '1.5rem' }}>
+                {contact.social.map((link) => (
+                  <li key={link.href}>
+                    <a href={link.href} target="_blank" rel="noopener noreferrer" style={{ display: 'inline-flex', alignItems: 'center', gap: '0.25rem', color: 'var(--vero-text)', textDecoration: 'none', fontFamily: 'Space Mono, monospace', fontSize: '0.875rem', textTransform: 'uppercase', letterSpacing: '0.1em' }}>
+                      {link.label} <ArrowUpRight size={14} aria-hidden="true" />
+                    </a>
+                  </li>
+                ))}
+              </ul>
+            </motion.div>
+          )}
+
+          <motion.nav variants={item} aria-label={t('menu.language')}>
+            <span style={kicker}>{t('menu.language')}</span>
+            <LocaleSwitcher onSwitch={onClose} style={{ textDecoration: 'none', fontSize: '1.25rem' }} />
+          </motion.nav>
+
+          <motion.div variants={item}>
+            {/* Forgets the analytics answer so the consent banner asks again */}
+            <button type="button" onClick={() => { setConsent(null); onClose(); }} style={{ padding: 0, background: 'none', border: 'none', cursor: 'pointer', color: 'var(--vero-text-subtle)', fontFamily: 'Space Mono, monospace', fontSize: '0.75rem', textTransform: 'uppercase', letterSpacing: '0.1em', textDecoration: 'underline' }}>
+              {t('menu.privacy')}
+            </button>
+          </motion.div>
+        </motion.div>
+      </div>
+    </motion.div>
+  );
+};
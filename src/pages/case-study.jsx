@@ -0,0 +1,134 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { ArrowLeft, ArrowRight } from 'lucide-react';
+import { PageLayer } from './layer.jsx';
+import { ProjectPoster } from './project-media.jsx';
+import { Link } from '../router.jsx';
+import { getAdjacentProjects } from '../content/index.js';
+import { useI18n } from '../i18n/index.jsx';
+
+// -----------------------------------------------------------------------------
+// CASE STUDY DETAIL
+// -----------------------------------------------------------------------------
+// The hero shares `layoutId`s with the matching card in the work grid, so
+// framer-motion animates the card into place when the page opens and back out
+// when it closes. The project's poster fills the hero, captioned below it.
+
+const kicker = { color: 'var(--vero-accent)', fontFamily: 'Space Mono, monospace', textTransform: 'uppercase', letterSpacing: '0.2em', fontSize: '0.875rem' };
+
+const StoryBlock = ({ block }) => {
+  switch (block.type) {
+    case 'heading':
+      return <h2 style={{ fontSize: '2.5rem', fontFamily: 'Playfair Display, serif', color: 'var(--vero-text)', margin: '4rem 0 1.5rem', lineHeight: '1.1', fontWeight: 400 }}>{block.text}</h2>;
+    case 'quote':
+      return (
+        <blockquote style={{ margin: '3rem 0', paddingInlineStart: '2rem', borderInlineStart: '1px solid var(--vero-accent)' }}>
+          <p style={{ fontFamily: 'Playfair Display, serif', fontStyle: 'italic', fontSize: '2rem', color: 'var(--vero-text)', lineHeight: '1.3', margin: 0 }}>{block.text}</p>
+          {block.cite && <cite style={{ ...kicker, fontStyle: 'normal', fontSize: '0.75rem', display: 'block', marginTop: '1rem' }}>{block.cite}</cite>}
+        </blockquote>
+      );
+    case 'list':
+      return (
+        <ul style={{ margin: '0 0 1.5rem', paddingInlineStart: '1.25rem' }}>
+          {block.items.map((item) => <li key={item} style={{ marginBottom: '0.75rem' }}>{item}</li>)}
+        </ul>
+      );
+    default:
+      return <p style={{ margin: '0 0 1.5rem' }}>{block.text}</p>;
+  }
+};
+
+const Summary = ({ project }) => {
+  const { t } = useI18n();
+
+  return (
+    <dl style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '2rem', margin: '4rem 0', padding: '2rem 0', borderTop: '1px solid var(--vero-line)', borderBottom: '1px solid var(--vero-line)' }}>
+      {[
+        ['role', project.role],
+        ['stack', project.stack.join(' · ')],
+        ['timeline', project.timeline]
+      ].map(([label, value]) => (
+        <div key={label}>
+          <dt style={{ ...kicker, fontSize: '0.75rem', marginBottom: '0.5rem' }}>{t(`caseStudy.${label}`)}</dt>
+          <dd style={{ margin: 0, color: 'var(--vero-text)', fontSize: '1.125rem' }}>{value}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+};
+
+const ProjectPager = ({ slug }) => {
+  const { t, locale, localize } = useI18n();
+  const { previous, next } = getAdjacentProjects(slug, locale);
+  if (!previous || previous.slug === slug) return null;
+
+  return (
+    <nav aria-label={t('caseStudy.more')} style={{ display: 'flex', justifyContent: 'space-between', gap: '2rem', marginTop: '6rem', paddingTop: '2rem', borderTop: '1px solid var(--vero-line)' }}>
+      {[['previous', previous, ArrowLeft], ['next', next, ArrowRight]].map(([label, project, Icon]) => (
+        <Link key={label} to={localize(`/work/${project.slug}`)} style={{ display: 'flex', flexDirection: 'column', alignItems: label === 'next' ? 'flex-end' : 'flex-start', gap: '0.5rem', color: 'var(--vero-text)', textDecoration: 'none' }}>
+          <span style={{ ...kicker, fontSize: '0.75rem', display: 'inline-flex', alignItems: 'center', gap: '0.5rem' }}>
+            {label === 'previous' && <Icon size={14} data-flip-rtl />}{t(`caseStudy.${label}`)}{label === 'next' && <Icon size={14} data-flip-rtl />}
+          </span>
+          <span style={{ fontFamily: 'Playfair Display, serif', fontSize: '2rem' }}>{project.title}</span>
+        </Link>
+      ))}
+    </nav>
+  );
+};
+
+export const CaseStudy = ({ project }) => {
+  const { t, localize } = useI18n();
+
+  return (
+    <PageLayer label={project.title}>
+      <article style={{ maxWidth: '64rem', margin: '0 auto', padding: '6rem 6rem 10rem' }}>
+        <Link to={localize('/#work')} style={{ ...kicker, display: 'inline-flex', alignItems: 'center', gap: '0.5rem', textDecoration: 'none', marginBottom: '3rem' }}>
+          <ArrowLeft size={14} data-flip-rtl /> {t('caseStudy.allWork')}
+        </Link>
+
+        <motion.header
+          layoutId={`project-card-${project.slug}`}
+          style={{ position: 'relative', aspectRatio: '16/7', background: 'var(--vero-tint)', border: '1px solid var(--vero-line)', overflow: 'hidden' }}
+        >
+          {project.media && (
+            <>
+              {/* Above the fold, so no lazy loading; the hero spans the 64rem column at most */}
+              <ProjectPoster media={project.media} sizes="(min-width: 1024px) 52rem, 100vw" eager />
+              <div aria-hidden="true" style={{ position: 'absolute', inset: 0, background: 'linear-gradient(to top, var(--vero-scrim), transparent 70%)' }} />
+            </>
+          )}
+          <div style={{ position: 'absolute', bottom: '2.5rem', left: '2.5rem', right: '2.5rem' }}>
+            <motion.h1 layoutId={`project-title-${project.slug}`} style={{ fontSize: '4rem', fontFamily: 'Playfair Display, serif', fontWeight: 400, color: 'var(--vero-text)', margin: '0 0 0.5rem', lineHeight: '1.1' }}>
+              {project.title}
+            </motion.h1>
+            <p style={{ fontFamily: 'Space Mono, monospace', fontSize: '0.75rem', color: 'var(--vero-accent)', margin: 0 }}>
+              {[project.meta, project.client, project.year].filter(Boolean).join(' / ')}
+            </p>
+          </div>
+        </motion.header>
+        {project.media?.caption && (
+          <p style={{ fontFamily: 'Space Mono, monospace', fontSize: '0.75rem', color: 'var(--vero-text-subtle)', margin: '1rem 0 0' }}>{project.media.caption}</p>
+        )}
+
+        <motion.div
+          key={project.slug}
+          initial={{ opacity: 0, y: 50 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.8, delay: 0.2 }}
+        >
+          <p style={{ fontSize: '2rem', fontFamily: 'Playfair Display, serif', color: 'var(--vero-text)', lineHeight: '1.3', marginTop: '4rem' }}>
+            {project.summary}
+          </p>
+
+          <Summary project={project} />
+
+          <div style={{ color: 'var(--vero-text-muted)', fontSize: '1.25rem', lineHeight: '1.625', maxWidth: '42rem', fontWeight: 300 }}>
+            {project.body.map((block, index) => <StoryBlock key={index} block={block} />)}
+          </div>
+
+          <ProjectPager slug={project.slug} />
+        </motion.div>
+      </article>
+    </PageLayer>
+  );
+};
@@ -0,0 +1,117 @@
+import React from 'react';
+import { ArrowLeft, ArrowRight, Rss } from 'lucide-react';
+import { PageLayer } from './layer.jsx';
+import { Link } from '../router.jsx';
+import { POST_TAGS, insightsPath } from '../content/posts.js';
+import { DEFAULT_LOCALE } from '../i18n/locales.js';
+import { useI18n } from '../i18n/index.jsx';
+
+// -----------------------------------------------------------------------------
+// INSIGHTS LISTING
+// -----------------------------------------------------------------------------
+// Newest posts first, filtered by tag and paginated through the URL
+// (/insights/tag/<tag>/page/<n>), so every page is prerendered and linkable.
+
+const kicker = { color: 'var(--vero-accent)', fontFamily: 'Space Mono, monospace', textTransform: 'uppercase', letterSpacing: '0.2em', fontSize: '0.75rem' };
+
+// Dates are plain calendar days; UTC keeps them from shifting a day either side
+const formatDate = (date, locale) => new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: 'UTC' }).format(new Date(date));
+
+export const PostMeta = ({ post }) => {
+  const { t, locale } = useI18n();
+  return (
+    <span style={{ ...kicker, color: 'var(--vero-text-subtle)' }}>
+      <time dateTime={post.date}>{formatDate(post.date, locale)}</time> · {t('insights.readingTime', { minutes: post.minutes })}
+    </span>
+  );
+};
+
+export const TagLinks = ({ tags, active = null, label }) => {
+  const { localize } = useI18n();
+  return (
+    <ul aria-label={label} style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
+      {tags.map(({ tag, text }) => (
+        <li key={tag || 'all'}>
+          <Link
+            to={localize(insightsPath({ tag }))}
+            aria-current={tag === active ? 'page' : undefined}
+            style={{ display: 'block', padding: '0.375rem 1rem', fontFamily: 'Space Mono, monospace', fontSize: '0.75rem', textTransform: 'uppercase', letterSpacing: '0.1em', textDecoration: 'none', borderRadius: '9999px', border: '1px solid var(--vero-line-strong)', color: tag === active ? 'var(--vero-on-accent)' : 'var(--vero-text)', background: tag === active ? 'var(--vero-accent)' : 'transparent' }}
+          >
+            {text}
+          </Link>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const PostCard = ({ post }) => {
+  const { localize } = useI18n();
+
+  return (
+    <li style={{ borderTop: '1px solid var(--vero-line)', padding: '2.5rem 0' }}>
+      <article>
+        <Link to={localize(`/insights/${post.slug}`)} style={{ display: 'block', color: 'inherit', textDecoration: 'none' }}>
+          {post.cover && (
+            <img src={post.cover} alt="" loading="lazy" style={{ display: 'block', width: '100%', aspectRatio: '16/7', objectFit: 'cover', marginBottom: '1.5rem', border: '1px solid var(--vero-line)' }} />
+          )}
+          <PostMeta post={post} />
+          {/* Posts are written in English whatever the interface language */}
+          <h2 lang={DEFAULT_LOCALE} style={{ fontSize: '2rem', fontFamily: 'Playfair Display, serif', fontWeight: 400, color: 'var(--vero-text)', margin: '0.75rem 0 1rem', lineHeight: '1.2' }}>{post.title}</h2>
+          <p lang={DEFAULT_LOCALE} style={{ margin: 0, color: 'var(--vero-text-muted)', fontSize: '1.125rem', lineHeight: '1.6', maxWidth: '42rem', fontWeight: 300 }}>{post.summary}</p>
+        </Link>
+      </article>
+    </li>
+  );
+};
+
+const Pager = ({ listing }) => {
+  const { t, localize } = useI18n();
+  const { tag, page, pages } = listing;
+  if (pages < 2) return null;
+
+  const link = { ...kicker, display: 'inline-flex', alignItems: 'center', gap: '0.5rem', textDecoration: 'none' };
+  return (
+    <nav aria-label={t('insights.pagination')} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '2rem', paddingTop: '2rem', borderTop: '1px solid var(--vero-line)' }}>
+      {page > 1 ? (
+        <Link to={localize(insightsPath({ tag, page: page - 1 }))} rel="prev" style={link}><ArrowLeft size={14} data-flip-rtl /> {t('insights.newer')}</Link>
+      ) : <span />}
+      <span style={{ ...kicker, color: 'var(--vero-text-subtle)' }}>{t('insights.page', { page, pages })}</span>
+      {page < pages ? (
+        <Link to={localize(insightsPath({ tag, page: page + 1 }))} rel="next" style={link}>{t('insights.older')} <ArrowRight size={14} data-flip-rtl /></Link>
+      ) : <span />}
+    </nav>
+  );
+};
+
+export const Insights = ({ listing }) => {
+  const { t } = useI18n();
+  const tags = [{ tag: null, text: t('insights.allTags') }, ...POST_TAGS.map((tag) => ({ tag, text: `#${tag}` }))];
+
+  return (
+    <PageLayer label={t('insights.label')}>
+      <div style={{ maxWidth: '64rem', margin: '0 auto', padding: '6rem 6rem 10rem' }}>
+        <span style={{ ...kicker, fontSize: '0.875rem', display: 'block', marginBottom: '1rem' }}>
+          {t('insights.label')}{listing.tag && ` / #${listing.tag}`}
+        </span>
+        <h1 style={{ fontSize: '4rem', fontFamily: 'Playfair Display, serif', fontWeight: 400, color: 'var(--vero-text)', margin: '0 0 2rem', lineHeight: '1.1' }}>
+          {t('insights.title')}
+        </h1>
+
+        <nav aria-label={t('insights.tags')} style={{ marginBottom: '3rem' }}>
+          <TagLinks tags={tags} active={listing.tag} />
+        </nav>
+
+        <ol style={{ listStyle: 'none', margin: '0 0 2rem', padding: 0 }}>
+          {listing.posts.map((post) => <PostCard key={post.slug} post={post} />)}
+        </ol>
+
+        <Pager listing={listing} />
+
+        <a href="/feed.xml" style={{ ...kicker, display: 'inline-flex', alignItems: 'center', gap: '0.5rem', marginTop: '3rem', color: 'var(--vero-text-subtle)', textDecoration: 'none' }}>
+          <Rss size={14} aria-hidden="true" /> {t('insights.feed')}
+        </a>
+      </div>
+    </PageLayer>
+  );
+};
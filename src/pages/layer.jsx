@@ -0,0 +1,80 @@
+import React, { useEffect, useLayoutEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { useRouter } from '../router.jsx';
+import { useI18n } from '../i18n/index.jsx';
+
+// -----------------------------------------------------------------------------
+// PAGE LAYER
+// -----------------------------------------------------------------------------
+// Routed pages open as a fixed, independently scrolling layer above the home
+// sections. Home stays mounted underneath, so its scroll position survives a
+// round trip and shared layout transitions measure both ends in the same frame.
+
+const SCROLL_STORAGE_KEY = 'vero:layer-scroll';
+
+// Scroll offsets per history entry key, persisted so a reload restores them too
+const scrollPositions = new Map((() => {
+  try {
+    return JSON.parse(sessionStorage.getItem(SCROLL_STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+})());
+
+const persistScrollPositions = () => {
+  try {
+    sessionStorage.setItem(SCROLL_STORAGE_KEY, JSON.stringify([...scrollPositions]));
+  } catch {
+    // Storage can be unavailable (private mode, quota); restoration is best-effort
+  }
+};
+
+export const PageLayer = ({ children, label }) => {
+  const { location, navigate } = useRouter();
+  const { localize } = useI18n();
+  const scroller = useRef(null);
+  const entryKey = location.state.key;
+
+  // Restore this entry's offset (or start at the top) whenever the entry changes
+  useLayoutEffect(() => {
+    if (scroller.current) scroller.current.scrollTop = scrollPositions.get(entryKey) || 0;
+  }, [entryKey]);
+
+  // The document underneath must not scroll while a page is open
+  useEffect(() => {
+    const { overflow } = document.documentElement.style;
+    document.documentElement.style.overflow = 'hidden';
+    window.addEventListener('pagehide', persistScrollPositions);
+    return () => {
+      document.documentElement.style.overflow = overflow;
+      window.removeEventListener('pagehide', persistScrollPositions);
+      persistScrollPositions();
+    };
+  }, []);
+
+  useEffect(() => {
+    const onKeyDown = (e) => { if (e.key === 'Escape') navigate(localize('/')); };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [navigate, localize]);
+
+  const handleScroll = () => {
+    if (entryKey) scrollPositions.set(entryKey, scroller.current.scrollTop);
+  };
+
+  return (
+    <motion.div
+      ref={scroller}
+      layoutScroll
+      aria-label={label}
+      onScroll={handleScroll}
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      transition={{ duration: 0.4 }}
+      style={{ position: 'fixed', inset: 0, zIndex: 40, overflowY: 'auto', background: 'var(--vero-overlay)', backdropFilter: 'blur(12px)' }}
+    >
+      {children}
+    </motion.div>
+  );
+};
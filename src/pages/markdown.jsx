@@ -0,0 +1,120 @@
+import React from 'react';
+import { Link } from '../router.jsx';
+import { highlight } from '../content/highlight.js';
+import { useI18n } from '../i18n/index.jsx';
+
+// -----------------------------------------------------------------------------
+// MARKDOWN RENDERING
+// -----------------------------------------------------------------------------
+// Turns the nodes from content/markdown.js into elements styled like the case
+// study story blocks. Site-relative links navigate client-side and stay in
+// the reader's locale; other links need a scheme from SAFE_SCHEMES (or to be
+// relative), and anything else, `javascript:` included, renders as its text.
+
+const kicker = { color: 'var(--vero-accent)', fontFamily: 'Space Mono, monospace', textTransform: 'uppercase', letterSpacing: '0.2em', fontSize: '0.75rem' };
+const mono = { fontFamily: 'Space Mono, monospace', fontSize: '0.85em' };
+
+const TOKEN_COLORS = {
+  comment: 'var(--vero-text-subtle)',
+  string: 'var(--vero-secondary)',
+  keyword: 'var(--vero-accent)',
+  number: 'var(--vero-accent)'
+};
+
+const HEADING_SIZES = { 2: '2.5rem', 3: '1.75rem' };
+
+const linkStyle = { color: 'var(--vero-accent)', textUnderlineOffset: '0.2em' };
+
+const SAFE_SCHEMES = /^(https?|mailto):/i;
+// Page-relative, query or fragment: no scheme for a browser to act on
+const RELATIVE = /^(\.{1,2}\/|[?#])/;
+
+// 'site', 'external', 'relative', or null for hrefs that must not become links
+const linkKind = (href) => {
+  if (href.startsWith('/') && !href.startsWith('//')) return 'site';
+  if (SAFE_SCHEMES.test(href) || href.startsWith('//')) return 'external';
+  if (RELATIVE.test(href)) return 'relative';
+  return null;
+};
+
+const SiteLink = ({ href, children }) => {
+  const { localize } = useI18n();
+  return <Link to={localize(href)} style={linkStyle}>{children}</Link>;
+};
+
+const Inline = ({ nodes }) => nodes.map((node, index) => {
+  switch (node.type) {
+    case 'code':
+      return <code key={index} style={{ ...mono, padding: '0.1em 0.35em', background: 'var(--vero-tint)', color: 'var(--vero-text)' }}>{node.text}</code>;
+    case 'strong':
+      return <strong key={index} style={{ color: 'var(--vero-text)', fontWeight: 600 }}><Inline nodes={node.children} /></strong>;
+    case 'em':
+      return <em key={index}><Inline nodes={node.children} /></em>;
+    case 'image':
+      return <img key={index} src={node.src} alt={node.alt} loading="lazy" style={{ display: 'block', maxWidth: '100%', margin: '2rem 0' }} />;
+    case 'link':
+      switch (linkKind(node.href)) {
+        case 'site':
+          return <SiteLink key={index} href={node.href}><Inline nodes={node.children} /></SiteLink>;
+        case 'external':
+          return <a key={index} href={node.href} target="_blank" rel="noopener noreferrer" style={linkStyle}><Inline nodes={node.children} /></a>;
+        case 'relative':
+          return <a key={index} href={node.href} style={linkStyle}><Inline nodes={node.children} /></a>;
+        default:
+          return <Inline key={index} nodes={node.children} />;
+      }
+    default:
+      return <React.Fragment key={index}>{node.text}</React.Fragment>;
+  }
+});
+
+const CodeBlock = ({ lang, text }) => (
+  <figure style={{ margin: '0 0 2rem', border: '1px solid var(--vero-line)', background: 'var(--vero-tint)' }}>
+    {lang && <figcaption style={{ ...kicker, fontSize: '0.625rem', padding: '0.75rem 1.25rem 0' }}>{lang}</figcaption>}
+    {/* Code reads left to right in every locale */}
+    <pre dir="ltr" style={{ ...mono, margin: 0, padding: '1rem 1.25rem 1.25rem', overflowX: 'auto', lineHeight: '1.6', color: 'var(--vero-text)', textAlign: 'left' }}>
+      <code>
+        {highlight(text, lang).map((token, index) => (
+          TOKEN_COLORS[token.type] ? <span key={index} style={{ color: TOKEN_COLORS[token.type] }}>{token.text}</span> : token.text
+        ))}
+      </code>
+    </pre>
+  </figure>
+);
+
+const Block = ({ block }) => {
+  switch (block.type) {
+    case 'heading': {
+      // The post title is the page's only h1
+      const level = Math.min(Math.max(block.level, 2), 4);
+      const Tag = `h${level}`;
+      return (
+        <Tag id={block.id} style={{ fontSize: HEADING_SIZES[level] || '1.25rem', fontFamily: 'Playfair Display, serif', color: 'var(--vero-text)', margin: level === 2 ? '4rem 0 1.5rem' : '2.5rem 0 1rem', lineHeight: '1.1', fontWeight: 400 }}>
+          <Inline nodes={block.children} />
+        </Tag>
+      );
+    }
+    case 'quote':
+      return (
+        <blockquote style={{ margin: '3rem 0', paddingInlineStart: '2rem', borderInlineStart: '1px solid var(--vero-accent)', fontFamily: 'Playfair Display, serif', fontStyle: 'italic', fontSize: '2rem', color: 'var(--vero-text)', lineHeight: '1.3' }}>
+          {block.blocks.map((inner, index) => <Block key={index} block={inner} />)}
+        </blockquote>
+      );
+    case 'list': {
+      const Tag = block.ordered ? 'ol' : 'ul';
+      return (
+        <Tag start={block.ordered && block.start !== 1 ? block.start : undefined} style={{ margin: '0 0 1.5rem', paddingInlineStart: '1.25rem' }}>
+          {block.items.map((item, index) => <li key={index} style={{ marginBottom: '0.75rem' }}><Inline nodes={item} /></li>)}
+        </Tag>
+      );
+    }
+    case 'code':
+      return <CodeBlock lang={block.lang} text={block.text} />;
+    case 'rule':
+      return <hr style={{ margin: '3rem 0', border: 'none', borderTop: '1px solid var(--vero-line)' }} />;
+    default:
+      return <p style={{ margin: '0 0 1.5rem' }}><Inline nodes={block.children} /></p>;
+  }
+};
+
+export const Markdown = ({ blocks }) => blocks.map((block, index) => <Block key={index} block={block} />);
@@ -0,0 +1,24 @@
+import React from 'react';
+import { PageLayer } from './layer.jsx';
+import { Link } from '../router.jsx';
+import { useI18n } from '../i18n/index.jsx';
+
+export const NotFound = () => {
+  const { t, localize } = useI18n();
+
+  return (
+    <PageLayer label={t('notFound.label')}>
+      <div style={{ minHeight: '100vh', display: 'flex', flexDirection: 'column', justifyContent: 'center', padding: '6rem' }}>
+        <span style={{ color: 'var(--vero-accent)', fontFamily: 'Space Mono, monospace', textTransform: 'uppercase', letterSpacing: '0.2em', fontSize: '0.875rem', marginBottom: '1rem', display: 'block' }}>
+          404
+        </span>
+        <h1 style={{ fontSize: '4rem', fontFamily: 'Playfair Display, serif', color: 'var(--vero-text)', marginBottom: '2rem', lineHeight: '1.1', fontWeight: 400 }}>
+          {t('notFound.title')}
+        </h1>
+        <Link to={localize('/')} style={{ fontFamily: 'Space Mono, monospace', textTransform: 'uppercase', letterSpacing: '0.2em', fontSize: '0.875rem', color: 'var(--vero-text)' }}>
+          {t('notFound.home')}
+        </Link>
+      </div>
+    </PageLayer>
+  );
+};
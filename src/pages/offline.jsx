@@ -0,0 +1,48 @@
+import React, { useEffect, useState } from 'react';
+import { PageLayer } from './layer.jsx';
+import { Link } from '../router.jsx';
+import { useI18n } from '../i18n/index.jsx';
+
+// -----------------------------------------------------------------------------
+// OFFLINE
+// -----------------------------------------------------------------------------
+// Where the service worker sends a navigation it has no copy of while the
+// network is down (/offline?from=<path>). The rest of the site keeps working
+// from the cache, so the way out is a link home; "Try again" reloads the page
+// that failed once the connection is back.
+
+// Same-origin paths only, so the page can't be used to bounce visitors elsewhere
+const safePath = (value) => (value && value.startsWith('/') && !value.startsWith('//') ? value : null);
+
+const link = { fontFamily: 'Space Mono, monospace', textTransform: 'uppercase', letterSpacing: '0.2em', fontSize: '0.875rem', color: 'var(--vero-text)' };
+
+export const Offline = () => {
+  const { t, localize } = useI18n();
+  // Read after hydration; the prerendered page has no query string
+  const [from, setFrom] = useState(null);
+
+  useEffect(() => {
+    setFrom(safePath(new URLSearchParams(window.location.search).get('from')));
+  }, []);
+
+  return (
+    <PageLayer label={t('offline.label')}>
+      <div style={{ minHeight: '100vh', display: 'flex', flexDirection: 'column', justifyContent: 'center', padding: '6rem' }}>
+        <span style={{ color: 'var(--vero-accent)', fontFamily: 'Space Mono, monospace', textTransform: 'uppercase', letterSpacing: '0.2em', fontSize: '0.875rem', marginBottom: '1rem', display: 'block' }}>
+          {t('offline.label')}
+        </span>
+        <h1 style={{ fontSize: '4rem', fontFamily: 'Playfair Display, serif', color: 'var(--vero-text)', marginBottom: '1.5rem', lineHeight: '1.1', fontWeight: 400 }}>
+          {t('offline.title')}
+        </h1>
+        <p style={{ color: 'var(--vero-text-muted)', fontSize: '1.25rem', lineHeight: '1.625', maxWidth: '36rem', fontWeight: 300, margin: '0 0 3rem' }}>
+          {t('offline.body')}
+        </p>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '2rem' }}>
+          {/* A full page load, so the service worker gets to try the network again */}
+          {from && <a href={from} style={link}>{t('offline.retry')}</a>}
+          <Link to={localize('/')} style={link}>{t('offline.home')}</Link>
+        </div>
+      </div>
+    </PageLayer>
+  );
+};
@@ -0,0 +1,54 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { ArrowLeft } from 'lucide-react';
+import { PageLayer } from './layer.jsx';
+import { Markdown } from './markdown.jsx';
+import { PostMeta, TagLinks } from './insights.jsx';
+import { Link } from '../router.jsx';
+import { DEFAULT_LOCALE } from '../i18n/locales.js';
+import { useI18n } from '../i18n/index.jsx';
+
+// -----------------------------------------------------------------------------
+// INSIGHTS POST
+// -----------------------------------------------------------------------------
+// Laid out like a case study: kicker, Playfair title, then the Markdown body
+// in the story column. The scene morphs into the post's `shape` behind it.
+
+const kicker = { color: 'var(--vero-accent)', fontFamily: 'Space Mono, monospace', textTransform: 'uppercase', letterSpacing: '0.2em', fontSize: '0.875rem' };
+
+export const Post = ({ post }) => {
+  const { t, localize } = useI18n();
+
+  return (
+    <PageLayer label={post.title}>
+      <article style={{ maxWidth: '64rem', margin: '0 auto', padding: '6rem 6rem 10rem' }}>
+        <Link to={localize('/insights')} style={{ ...kicker, display: 'inline-flex', alignItems: 'center', gap: '0.5rem', textDecoration: 'none', marginBottom: '3rem' }}>
+          <ArrowLeft size={14} data-flip-rtl /> {t('insights.all')}
+        </Link>
+
+        <header>
+          <PostMeta post={post} />
+          {/* Posts are written in English whatever the interface language */}
+          <h1 lang={DEFAULT_LOCALE} style={{ fontSize: '4rem', fontFamily: 'Playfair Display, serif', fontWeight: 400, color: 'var(--vero-text)', margin: '1rem 0 2rem', lineHeight: '1.1' }}>
+            {post.title}
+          </h1>
+          {post.tags.length > 0 && <TagLinks tags={post.tags.map((tag) => ({ tag, text: `#${tag}` }))} label={t('insights.tags')} />}
+          {post.cover && (
+            <img src={post.cover} alt="" style={{ display: 'block', width: '100%', aspectRatio: '16/7', objectFit: 'cover', marginTop: '3rem', border: '1px solid var(--vero-line)' }} />
+          )}
+        </header>
+
+        <motion.div
+          key={post.slug}
+          lang={DEFAULT_LOCALE}
+          initial={{ opacity: 0, y: 50 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.8, delay: 0.2 }}
+          style={{ color: 'var(--vero-text-muted)', fontSize: '1.25rem', lineHeight: '1.625', maxWidth: '42rem', fontWeight: 300, marginTop: '4rem' }}
+        >
+          <Markdown blocks={post.blocks} />
+        </motion.div>
+      </article>
+    </PageLayer>
+  );
+};
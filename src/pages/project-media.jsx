@@ -0,0 +1,94 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useInView } from 'framer-motion';
+import { hideScenePreview, showScenePreview } from '../scene/preview.js';
+import { useReducedMotion } from '../a11y/accessibility.jsx';
+
+// -----------------------------------------------------------------------------
+// PROJECT MEDIA
+// -----------------------------------------------------------------------------
+// Posters and hover previews for the work grid and case study heroes (media is
+// declared per project in projects.json). Both fill their positioned parent.
+
+// How close to the viewport a card has to be before its video may load
+const NEAR = '200px 0px';
+
+const cover = { position: 'absolute', inset: 0, width: '100%', height: '100%', objectFit: 'cover' };
+
+// Responsive poster; `sizes` is the rendered width, so the browser can pick from `srcset`
+export const ProjectPoster = ({ media, sizes, eager = false }) => {
+  const srcSet = media.poster.srcset.map(({ src, width }) => `${src} ${width}w`).join(', ');
+  return (
+    <img
+      src={media.poster.src}
+      srcSet={srcSet || undefined}
+      sizes={srcSet ? sizes : undefined}
+      alt={media.alt}
+      loading={eager ? 'eager' : 'lazy'}
+      decoding="async"
+      style={cover}
+    />
+  );
+};
+
+// The poster, plus the muted preview loop while `active` (hovered or focused).
+// Nothing is fetched until the card is both near the viewport and active, and
+// the video is dropped again once it scrolls far away. While active it is also
+// projected into the scene behind the glass (see scene/preview.js).
+export const ProjectPreview = ({ slug, media, active, sizes }) => {
+  const ref = useRef(null);
+  const video = useRef(null);
+  const reducedMotion = useReducedMotion();
+  const near = useInView(ref, { margin: NEAR });
+  const [wanted, setWanted] = useState(false);
+  const [playing, setPlaying] = useState(false);
+  const [failed, setFailed] = useState(false);
+  // Reduced motion keeps the still poster
+  const playable = Boolean(media.video) && !failed && !reducedMotion;
+
+  useEffect(() => {
+    if (!near || !playable) {
+      setWanted(false);
+      setPlaying(false);
+    } else if (active) {
+      setWanted(true);
+    }
+  }, [near, active, playable]);
+
+  useEffect(() => {
+    const element = video.current;
+    if (!element) return;
+    // A refused play() just leaves the poster showing
+    if (active) element.play().catch(() => {});
+    else element.pause();
+  }, [active, wanted]);
+
+  // The video once it has frames to show, the poster until then
+  useEffect(() => {
+    if (!active) return undefined;
+    showScenePreview({ owner: slug, video: playing ? video.current : null, image: media.poster.src });
+    return () => hideScenePreview(slug);
+  }, [active, playing, slug, media.poster.src]);
+
+  return (
+    <div ref={ref} style={{ position: 'absolute', inset: 0 }}>
+      <ProjectPoster media={media} sizes={sizes} />
+      {wanted && playable && (
+        <video
+          ref={video}
+          muted
+          loop
+          playsInline
+          aria-hidden="true"
+          onPlaying={() => setPlaying(true)}
+          onPause={() => setPlaying(false)}
+          style={{ ...cover, opacity: playing ? 1 : 0, transition: 'opacity 0.4s' }}
+        >
+          {media.video.sources.map(({ src, type }, i, sources) => (
+            // Sources are tried in order, so only the last one failing means there is nothing to play
+            <source key={src} src={src} type={type} onError={i === sources.length - 1 ? () => setFailed(true) : undefined} />
+          ))}
+        </video>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,34 @@
+import { presetsObj } from '@react-three/drei/helpers/environment-assets.js';
+import { THEMES } from '../theme/tokens.js';
+
+// -----------------------------------------------------------------------------
+// SELF-HOSTED ASSETS
+// -----------------------------------------------------------------------------
+// The web fonts and HDR environments are served from our own origin, so the
+// service worker can precache them with the build. They are third-party files
+// and not committed: run `npm run assets` (scripts/fetch-offline-assets.js)
+// once to download them into public/. Until they are there text falls back to
+// the system fonts and the scene to drei's CDN copies.
+
+export const FONTS = [
+  { family: 'Playfair Display', style: 'normal', weight: 400, file: '/fonts/playfair-display-400.woff2' },
+  { family: 'Playfair Display', style: 'italic', weight: 400, file: '/fonts/playfair-display-400-italic.woff2' },
+  { family: 'Playfair Display', style: 'normal', weight: 600, file: '/fonts/playfair-display-600.woff2' },
+  { family: 'Space Mono', style: 'normal', weight: 400, file: '/fonts/space-mono-400.woff2' },
+  { family: 'Space Mono', style: 'normal', weight: 700, file: '/fonts/space-mono-700.woff2' }
+];
+
+// @font-face rules for the global stylesheet
+export const fontFaceCss = () => FONTS.map(({ family, style, weight, file }) => (
+  `@font-face { font-family: '${family}'; font-style: ${style}; font-weight: ${weight}; font-display: swap; src: url('${file}') format('woff2'); }`
+)).join('\n');
+
+// Our copy of one of drei's environment presets (theme `lighting.environment`)
+export const environmentUrl = (name) => `/hdri/${presetsObj[name]}`;
+
+// Precached with every build: the fonts and the environments the built-in
+// themes light with. Preset themes lit by another one cache it on first use.
+export const OFFLINE_ASSETS = [
+  ...FONTS.map(({ file }) => file),
+  ...new Set(Object.values(THEMES).map(({ scene }) => environmentUrl(scene.lighting.environment)))
+];
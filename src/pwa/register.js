@@ -0,0 +1,12 @@
+import { reportError } from '../errors/report.js';
+
+// Production builds only: under `vite dev` a cached shell would hide every edit.
+// After the page has loaded, so installing (and warming the page cache) never
+// competes with the first render. A new version takes over once it has installed.
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((error) => reportError(error, { scope: 'service-worker' }));
+  });
+};
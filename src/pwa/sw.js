@@ -0,0 +1,99 @@
+/* global VERSION, PRECACHE, PAGES, OFFLINE_PAGES */
+
+// -----------------------------------------------------------------------------
+// SERVICE WORKER
+// -----------------------------------------------------------------------------
+// Not bundled: the prerender plugin in vite.config.js writes this file to
+// dist/sw.js behind the build's constants:
+//   VERSION        hash of everything below; a new one replaces all caches
+//   PRECACHE       the app shell: hashed bundles, fonts, environments, icons,
+//                  manifest
+//   PAGES          every prerendered route
+//   OFFLINE_PAGES  { '<locale home>': '<offline page>' }
+// Strategies:
+//   precache  cache-first, filled at install
+//   pages     stale-while-revalidate, warmed at install so every route and
+//             case study opens offline after a single visit
+//   runtime   everything else from our origin (project posters and previews,
+//             post images, theme presets, other environments),
+//             stale-while-revalidate
+// A navigation with no cached copy and no network lands on the offline page
+// for its locale. Media range requests, other origins and the API pass through.
+
+const PRECACHE_CACHE = `vero-precache-${VERSION}`;
+const PAGES_CACHE = `vero-pages-${VERSION}`;
+const RUNTIME_CACHE = 'vero-runtime';
+const CURRENT_CACHES = [PRECACHE_CACHE, PAGES_CACHE, RUNTIME_CACHE];
+const PRECACHED = new Set(PRECACHE);
+
+// Past the browser's HTTP cache, so a new version never precaches stale files
+const fill = async (name, urls) => {
+  const cache = await caches.open(name);
+  await cache.addAll(urls.map((url) => new Request(url, { cache: 'reload' })));
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    await fill(PRECACHE_CACHE, PRECACHE);
+    await fill(PAGES_CACHE, PAGES);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter((name) => name.startsWith('vero-') && !CURRENT_CACHES.includes(name)).map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request, { cacheName: PRECACHE_CACHE });
+  return cached || fetch(request);
+};
+
+// The cached copy straight away while the network refreshes it; the network
+// when nothing is cached (rejecting when that fails too)
+const staleWhileRevalidate = async (event, name, options) => {
+  const cache = await caches.open(name);
+  const cached = await cache.match(event.request, options);
+  const network = fetch(event.request).then(async (response) => {
+    if (response.ok) await cache.put(event.request, response.clone());
+    return response;
+  });
+  if (!cached) return network;
+  event.waitUntil(network.catch(() => {}));
+  return cached;
+};
+
+const offlinePage = (pathname) => {
+  const home = Object.keys(OFFLINE_PAGES)
+    .filter((prefix) => pathname.startsWith(prefix) || `${pathname}/` === prefix)
+    .sort((a, b) => b.length - a.length)[0];
+  return OFFLINE_PAGES[home] || OFFLINE_PAGES['/'];
+};
+
+// A redirect rather than the page itself, so the app hydrates on the URL it was rendered for
+const navigate = async (event) => {
+  try {
+    return await staleWhileRevalidate(event, PAGES_CACHE, { ignoreSearch: true });
+  } catch {
+    const url = new URL(event.request.url);
+    const target = new URL(offlinePage(url.pathname), url);
+    target.searchParams.set('from', url.pathname + url.search);
+    return Response.redirect(target.href, 302);
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+  // Video seeks ask for byte ranges, which a cached full response can't answer
+  if (request.headers.has('range')) return;
+
+  if (request.mode === 'navigate') event.respondWith(navigate(event));
+  else if (PRECACHED.has(url.pathname)) event.respondWith(cacheFirst(request));
+  else event.respondWith(staleWhileRevalidate(event, RUNTIME_CACHE));
+});
@@ -0,0 +1,18 @@
+import React from 'react'
+import App from './app.jsx'
+import { RouterProvider } from './router.jsx'
+import { RenderProfiler, RenderProfilerOverlay } from './dev/render-profiler.jsx'
+
+// The whole tree, shared by the browser entry and the prerenderer so both
+// produce the same markup
+export const Root = ({ location }) => (
+  <React.StrictMode>
+    <RouterProvider initialLocation={location}>
+      <RenderProfiler id="app">
+        <App />
+      </RenderProfiler>
+    </RouterProvider>
+    {/* Dev only, so production builds drop the overlay altogether */}
+    {import.meta.env.DEV && <RenderProfilerOverlay />}
+  </React.StrictMode>
+)
@@ -0,0 +1,145 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { isReducedMotion } from './a11y/accessibility.jsx';
+
+// -----------------------------------------------------------------------------
+// MINIMAL HISTORY ROUTER
+// -----------------------------------------------------------------------------
+// The site only has a handful of routes: known ones are prerendered and
+// vercel.json rewrites everything else to the SPA shell, so a small pushState
+// router is all we need. Every entry we
+// push carries a unique `key` (used to remember per-entry scroll positions) and
+// an `internal` flag so a page can tell whether "back" stays inside the site.
+// Hash links scroll smoothly to their target, on load and on back/forward
+// between entries of the same page as well as on navigate().
+
+const RouterContext = createContext(null);
+
+const createKey = () => Math.random().toString(36).slice(2, 10);
+
+const readLocation = () => ({
+  pathname: window.location.pathname,
+  hash: window.location.hash,
+  state: window.history.state || {}
+});
+
+export const matchPath = (pattern, pathname) => {
+  const patternParts = pattern.split('/').filter(Boolean);
+  const pathParts = pathname.split('/').filter(Boolean);
+  if (patternParts.length !== pathParts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+};
+
+// First matching route wins; unmatched paths resolve to `notFound`
+export const matchRoutes = (routes, pathname) => {
+  for (const route of routes) {
+    const params = matchPath(route.path, pathname);
+    if (params) return { name: route.name, params };
+  }
+  return { name: 'notFound', params: {} };
+};
+
+const hashListeners = new Set();
+
+// An empty hash scrolls back to the top of the page
+const scrollToHash = (hash) => {
+  const id = hash.length > 1 ? decodeURIComponent(hash.slice(1)) : null;
+  const target = id && document.getElementById(id);
+  if (id && !target) return;
+  hashListeners.forEach((listener) => listener(id));
+
+  const behavior = isReducedMotion() ? 'auto' : 'smooth';
+  if (target) target.scrollIntoView({ behavior });
+  else window.scrollTo({ top: 0, behavior });
+};
+
+// `listener(id)` runs just before the router scrolls to an element (id) or the top (null)
+export const useHashScroll = (listener) => {
+  useEffect(() => {
+    hashListeners.add(listener);
+    return () => hashListeners.delete(listener);
+  }, [listener]);
+};
+
+// `initialLocation` is for rendering without a window (prerendering)
+export const RouterProvider = ({ children, initialLocation }) => {
+  const [location, setLocation] = useState(() => initialLocation || readLocation());
+  const [pendingHash, setPendingHash] = useState(null);
+  const pathname = useRef(location.pathname);
+  pathname.current = location.pathname;
+
+  useEffect(() => {
+    // Tag the entry we landed on so it has a key like every pushed one
+    if (!window.history.state?.key) {
+      window.history.replaceState({ ...window.history.state, key: createKey() }, '');
+      setLocation(readLocation());
+    }
+    // Deep links: scroll to the target once the page has rendered
+    if (window.location.hash) setPendingHash(window.location.hash);
+
+    const onPopState = () => {
+      // Back/forward within one page moves between the sections visited; across
+      // pages the page keeps its own scroll position
+      if (window.location.pathname === pathname.current) setPendingHash(window.location.hash);
+      setLocation(readLocation());
+    };
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  // Hash targets only exist once the destination route has rendered
+  useEffect(() => {
+    if (pendingHash === null) return;
+    scrollToHash(pendingHash);
+    setPendingHash(null);
+  }, [pendingHash]);
+
+  const navigate = useCallback((to, { replace = false } = {}) => {
+    const url = new URL(to, window.location.href);
+    const target = `${url.pathname}${url.search}${url.hash}`;
+    const current = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+
+    if (target !== current || replace) {
+      const method = replace ? 'replaceState' : 'pushState';
+      window.history[method]({ key: createKey(), internal: true }, '', target);
+      setLocation(readLocation());
+    }
+    if (url.hash) setPendingHash(url.hash);
+  }, []);
+
+  // Rewrites the current entry's hash (scroll position sync) without scrolling
+  // or adding history; an empty hash drops it from the URL
+  const replaceHash = useCallback((hash) => {
+    if (hash === window.location.hash) return;
+    window.history.replaceState(window.history.state, '', `${window.location.pathname}${window.location.search}${hash}`);
+    setLocation(readLocation());
+  }, []);
+
+  const value = useMemo(() => ({ location, navigate, replaceHash }), [location, navigate, replaceHash]);
+
+  return <RouterContext.Provider value={value}>{children}</RouterContext.Provider>;
+};
+
+export const useRouter = () => useContext(RouterContext);
+
+// Anchor that navigates client-side, leaving modified clicks (new tab etc.) to the browser
+export const Link = React.forwardRef(({ to, onClick, ...props }, ref) => {
+  const { navigate } = useRouter();
+
+  const handleClick = (e) => {
+    if (onClick) onClick(e);
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(to);
+  };
+
+  return <a ref={ref} href={to} onClick={handleClick} {...props} />;
+});
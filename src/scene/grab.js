@@ -0,0 +1,180 @@
+import { useEffect, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import { setCursorMode } from '../input/cursor.js';
+
+// -----------------------------------------------------------------------------
+// GRAB TO ROTATE
+// -----------------------------------------------------------------------------
+// The Canvas sits underneath the page content, so R3F's own pointer events
+// never reach it. Instead the window pointer position is raycast against the
+// mesh every frame it could have changed, and a press that lands on the mesh
+// starts a drag. Dragging rotates the `handle` group about the screen axes;
+// on release the spin carries on and damps out, and once the visitor has let
+// go for a while `autoRotate` eases back to 1 so the idle spin resumes.
+// Touch is left to scrolling.
+
+// Radians per dragged pixel
+const DRAG_SPEED = 0.008;
+// Exponential decay rate of a released spin, per second
+const INERTIA_DAMPING = 2.5;
+// Seconds without contact before the idle spin comes back
+const IDLE_DELAY = 2.5;
+// Re-check hover this often even without pointer movement (the shape moves on its own)
+const RAYCAST_INTERVAL = 0.1;
+
+// Whether one of the element's own lines of text is under the point. Pointer
+// events target the innermost element, so its direct text nodes are the ones
+// that can be there.
+const range = typeof document === 'undefined' ? null : document.createRange();
+const isOverText = (element, x, y) => [...element.childNodes].some((node) => {
+  if (node.nodeType !== Node.TEXT_NODE || !node.textContent.trim()) return false;
+  range.selectNodeContents(node);
+  return [...range.getClientRects()].some((rect) => x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom);
+});
+
+// Only bare page counts as "over the shape": not controls, not the copy (which
+// stays selectable where it overlaps the shape), and not the routed page
+// layers, dialogs or menu drawn on top of it
+const isOverScene = (target, x, y) => {
+  if (!(target instanceof Element)) return false;
+  if (target.closest('a, button, input, textarea, select, label, [role="dialog"]')) return false;
+  if (isOverText(target, x, y)) return false;
+  return target === document.body || target === document.documentElement || Boolean(target.closest('#main-content'));
+};
+
+export const useGrab = ({ mesh, handle, reducedMotion }) => {
+  const grab = useRef({
+    hover: false,
+    dragging: false,
+    // Smoothed 0..1 of hover/drag, for material feedback
+    hoverAmount: 0,
+    // Weight for the idle spin: 0 while handled, back to 1 after IDLE_DELAY
+    autoRotate: 1,
+    idle: IDLE_DELAY,
+    overScene: false,
+    clientX: 0,
+    clientY: 0,
+    moved: false,
+    sinceRaycast: 0,
+    pointerId: null,
+    lastX: 0,
+    lastY: 0,
+    lastTime: 0,
+    // Radians dragged since the last frame, around the world Y and X axes
+    pendingX: 0,
+    pendingY: 0,
+    // Radians per second, carried after release
+    velocityX: 0,
+    velocityY: 0
+  }).current;
+
+  const raycaster = useRef(new THREE.Raycaster()).current;
+  const ndc = useRef(new THREE.Vector2()).current;
+  const euler = useRef(new THREE.Euler()).current;
+  const quaternion = useRef(new THREE.Quaternion()).current;
+
+  useEffect(() => {
+    const onMove = (e) => {
+      grab.clientX = e.clientX;
+      grab.clientY = e.clientY;
+      grab.moved = true;
+      grab.overScene = e.pointerType !== 'touch' && isOverScene(e.target, e.clientX, e.clientY);
+
+      if (!grab.dragging || e.pointerId !== grab.pointerId) return;
+      const dx = (e.clientX - grab.lastX) * DRAG_SPEED;
+      const dy = (e.clientY - grab.lastY) * DRAG_SPEED;
+      const dt = Math.max((e.timeStamp - grab.lastTime) / 1000, 1 / 240);
+      grab.pendingX += dx;
+      grab.pendingY += dy;
+      grab.velocityX = THREE.MathUtils.lerp(grab.velocityX, dx / dt, 0.5);
+      grab.velocityY = THREE.MathUtils.lerp(grab.velocityY, dy / dt, 0.5);
+      grab.lastX = e.clientX;
+      grab.lastY = e.clientY;
+      grab.lastTime = e.timeStamp;
+    };
+
+    const onDown = (e) => {
+      if (!grab.hover || e.button !== 0 || e.pointerType === 'touch') return;
+      // `hover` trails the pointer by a frame; a press that lands on copy selects it
+      if (!isOverScene(e.target, e.clientX, e.clientY)) return;
+      // Keeps the press from starting a text selection across the page
+      e.preventDefault();
+      document.documentElement.style.userSelect = 'none';
+      Object.assign(grab, { dragging: true, pointerId: e.pointerId, lastX: e.clientX, lastY: e.clientY, lastTime: e.timeStamp, velocityX: 0, velocityY: 0 });
+      setCursorMode('dragging');
+    };
+
+    const onUp = (e) => {
+      if (!grab.dragging || e.pointerId !== grab.pointerId) return;
+      grab.dragging = false;
+      grab.pointerId = null;
+      document.documentElement.style.userSelect = '';
+      // Holding still before letting go (or reduced motion) means no throw
+      if (reducedMotion || e.timeStamp - grab.lastTime > 80) {
+        grab.velocityX = 0;
+        grab.velocityY = 0;
+      }
+      setCursorMode(grab.hover ? 'drag' : 'default');
+    };
+
+    window.addEventListener('pointermove', onMove, { passive: true });
+    window.addEventListener('pointerdown', onDown);
+    window.addEventListener('pointerup', onUp);
+    window.addEventListener('pointercancel', onUp);
+    return () => {
+      window.removeEventListener('pointermove', onMove);
+      window.removeEventListener('pointerdown', onDown);
+      window.removeEventListener('pointerup', onUp);
+      window.removeEventListener('pointercancel', onUp);
+      document.documentElement.style.userSelect = '';
+      setCursorMode('default');
+    };
+  }, [grab, reducedMotion]);
+
+  useFrame((state, delta) => {
+    if (!mesh.current || !handle.current) return;
+
+    // Hover
+    grab.sinceRaycast += delta;
+    if (grab.moved || grab.sinceRaycast > RAYCAST_INTERVAL) {
+      grab.moved = false;
+      grab.sinceRaycast = 0;
+      let hit = false;
+      if (grab.overScene) {
+        ndc.set((grab.clientX / state.size.width) * 2 - 1, -(grab.clientY / state.size.height) * 2 + 1);
+        raycaster.setFromCamera(ndc, state.camera);
+        hit = raycaster.intersectObject(mesh.current, false).length > 0;
+      }
+      if (hit !== grab.hover) {
+        grab.hover = hit;
+        if (!grab.dragging) setCursorMode(hit ? 'drag' : 'default');
+      }
+    }
+    grab.hoverAmount = THREE.MathUtils.damp(grab.hoverAmount, grab.hover || grab.dragging ? 1 : 0, 6, delta);
+
+    // Rotation: direct while held, coasting after release
+    let x = 0;
+    let y = 0;
+    if (grab.dragging) {
+      x = grab.pendingY;
+      y = grab.pendingX;
+      grab.pendingX = 0;
+      grab.pendingY = 0;
+      grab.idle = 0;
+    } else {
+      const decay = Math.exp(-INERTIA_DAMPING * delta);
+      grab.velocityX *= decay;
+      grab.velocityY *= decay;
+      x = grab.velocityY * delta;
+      y = grab.velocityX * delta;
+      grab.idle += delta;
+    }
+    // The handle's parent is only translated, so its own axes are the screen's
+    if (x || y) handle.current.quaternion.premultiply(quaternion.setFromEuler(euler.set(x, y, 0)));
+
+    grab.autoRotate = THREE.MathUtils.damp(grab.autoRotate, grab.idle > IDLE_DELAY ? 1 : 0, 1.5, delta);
+  });
+
+  return grab;
+};
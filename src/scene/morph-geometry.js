@@ -0,0 +1,231 @@
+import * as THREE from 'three';
+
+// -----------------------------------------------------------------------------
+// MORPHABLE SHAPES
+// -----------------------------------------------------------------------------
+// Every shape is sampled onto the same (u, v) grid, so all of them share one
+// index buffer and vertex i of one shape corresponds to vertex i of the next.
+// They then live as morph targets on a single geometry and the scene blends
+// between them with morphTargetInfluences.
+//
+// A surface is a function (u, v, target) => target mapping the unit square
+// onto the shape. The builders below return one; shapes.js decides which
+// shape uses which.
+
+const TAU = Math.PI * 2;
+
+// Unit direction on the sphere for grid coordinates (u: longitude, v: pole to pole)
+const sphereDirection = (u, v, target) => {
+  const theta = u * TAU;
+  const phi = v * Math.PI;
+  return target.set(Math.sin(phi) * Math.cos(theta), Math.cos(phi), Math.sin(phi) * Math.sin(theta));
+};
+
+// Same curve as THREE.TorusKnotGeometry
+const knotCurve = (t, p, q, radius, target) => {
+  const quOverP = (q / p) * t;
+  const cs = Math.cos(quOverP);
+  return target.set(
+    radius * (2 + cs) * 0.5 * Math.cos(t),
+    radius * (2 + cs) * 0.5 * Math.sin(t),
+    radius * Math.sin(quOverP) * 0.5
+  );
+};
+
+export const torusKnot = ({ radius = 1, tube = 0.35, p = 2, q = 3 } = {}) => {
+  const p1 = new THREE.Vector3();
+  const p2 = new THREE.Vector3();
+  const tangent = new THREE.Vector3();
+  const normal = new THREE.Vector3();
+  const binormal = new THREE.Vector3();
+
+  return (u, v, target) => {
+    const t = u * p * TAU;
+    knotCurve(t, p, q, radius, p1);
+    knotCurve(t + 0.01, p, q, radius, p2);
+    tangent.subVectors(p2, p1);
+    normal.addVectors(p2, p1);
+    binormal.crossVectors(tangent, normal).normalize();
+    normal.crossVectors(binormal, tangent).normalize();
+
+    const angle = v * TAU;
+    const cx = -tube * Math.cos(angle);
+    const cy = tube * Math.sin(angle);
+    return target.copy(p1).addScaledVector(normal, cx).addScaledVector(binormal, cy);
+  };
+};
+
+// Convex shapes are sampled by casting a ray from the centre along the sphere direction
+export const sphere = ({ radius = 1 } = {}) => (u, v, target) => sphereDirection(u, v, target).multiplyScalar(radius);
+
+export const capsule = ({ radius = 0.7, length = 2 } = {}) => {
+  const half = length / 2;
+  return (u, v, target) => {
+    const dir = sphereDirection(u, v, target);
+    const radial = Math.hypot(dir.x, dir.z);
+    const side = radial > 1e-6 ? radius / radial : Infinity;
+    if (Math.abs(dir.y * side) <= half) return dir.multiplyScalar(side);
+
+    // Hemispherical cap: |t·dir - c| = radius with c = (0, ±half, 0)
+    const cy = Math.sign(dir.y) * half;
+    const b = dir.y * cy;
+    const t = b + Math.sqrt(b * b - cy * cy + radius * radius);
+    return dir.multiplyScalar(t);
+  };
+};
+
+export const polyhedron = (source) => {
+  // Face planes (unit normal + distance from the origin) of a convex polyhedron
+  const positions = (source.index ? source.toNonIndexed() : source).getAttribute('position');
+  const planes = [];
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  for (let i = 0; i < positions.count; i += 3) {
+    a.fromBufferAttribute(positions, i);
+    b.fromBufferAttribute(positions, i + 1);
+    c.fromBufferAttribute(positions, i + 2);
+    const normal = new THREE.Vector3().subVectors(b, a).cross(new THREE.Vector3().subVectors(c, a)).normalize();
+    let distance = normal.dot(a);
+    if (distance < 0) {
+      normal.negate();
+      distance = -distance;
+    }
+    planes.push({ normal, distance });
+  }
+  source.dispose();
+
+  return (u, v, target) => {
+    const dir = sphereDirection(u, v, target);
+    let nearest = Infinity;
+    planes.forEach(({ normal, distance }) => {
+      const facing = normal.dot(dir);
+      if (facing > 1e-6) nearest = Math.min(nearest, distance / facing);
+    });
+    return dir.multiplyScalar(nearest);
+  };
+};
+
+// Any other geometry (primitives, loaded models): rays from the centre of its
+// bounds, keeping the farthest hit. Exact for star-shaped meshes; anything else
+// comes out shrink-wrapped. Ray casting is too slow to run per grid vertex on a
+// detailed model, so distances are baked once into a lat/long map and
+// interpolated. The geometry is centred and fitted into a unit sphere first.
+const RADIAL_MAP = [128, 64];
+
+export const radialSurface = (source) => {
+  const geometry = source.clone();
+  geometry.computeBoundingBox();
+  geometry.translate(...geometry.boundingBox.getCenter(new THREE.Vector3()).negate().toArray());
+  geometry.computeBoundingSphere();
+  geometry.scale(1 / geometry.boundingSphere.radius, 1 / geometry.boundingSphere.radius, 1 / geometry.boundingSphere.radius);
+  geometry.computeBoundingSphere();
+
+  const material = new THREE.MeshBasicMaterial({ side: THREE.DoubleSide });
+  const mesh = new THREE.Mesh(geometry, material);
+  const raycaster = new THREE.Raycaster();
+  const origin = new THREE.Vector3();
+  const dir = new THREE.Vector3();
+
+  const [mapU, mapV] = RADIAL_MAP;
+  const distances = new Float32Array((mapU + 1) * (mapV + 1));
+  for (let j = 0; j <= mapV; j++) {
+    for (let i = 0; i <= mapU; i++) {
+      raycaster.set(origin, sphereDirection(i / mapU, j / mapV, dir));
+      const hits = raycaster.intersectObject(mesh, false);
+      distances[j * (mapU + 1) + i] = hits.length ? hits[hits.length - 1].distance : 0;
+    }
+  }
+  geometry.dispose();
+  material.dispose();
+
+  return (u, v, target) => {
+    const x = u * mapU;
+    const y = v * mapV;
+    const i = Math.min(Math.floor(x), mapU - 1);
+    const j = Math.min(Math.floor(y), mapV - 1);
+    const fx = x - i;
+    const fy = y - j;
+    const at = (di, dj) => distances[(j + dj) * (mapU + 1) + i + di];
+    const distance = THREE.MathUtils.lerp(
+      THREE.MathUtils.lerp(at(0, 0), at(1, 0), fx),
+      THREE.MathUtils.lerp(at(0, 1), at(1, 1), fx),
+      fy
+    );
+    return sphereDirection(u, v, target).multiplyScalar(distance);
+  };
+};
+
+const sampleSurface = (surface, scale, segmentsU, segmentsV, flipV) => {
+  const positions = new Float32Array((segmentsU + 1) * (segmentsV + 1) * 3);
+  const point = new THREE.Vector3();
+  let offset = 0;
+  for (let j = 0; j <= segmentsV; j++) {
+    for (let i = 0; i <= segmentsU; i++) {
+      const v = j / segmentsV;
+      surface(i / segmentsU, flipV ? 1 - v : v, point).multiplyScalar(scale);
+      positions[offset++] = point.x;
+      positions[offset++] = point.y;
+      positions[offset++] = point.z;
+    }
+  }
+  return positions;
+};
+
+const gridIndex = (segmentsU, segmentsV) => {
+  const indices = [];
+  for (let j = 0; j < segmentsV; j++) {
+    for (let i = 0; i < segmentsU; i++) {
+      const a = j * (segmentsU + 1) + i;
+      const b = a + segmentsU + 1;
+      indices.push(a, b, a + 1, b, b + 1, a + 1);
+    }
+  }
+  return indices;
+};
+
+// Sum of signed tetrahedron volumes: negative means the triangles face inwards
+const signedVolume = (positions, indices) => {
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  let volume = 0;
+  for (let i = 0; i < indices.length; i += 3) {
+    a.fromArray(positions, indices[i] * 3);
+    b.fromArray(positions, indices[i + 1] * 3);
+    c.fromArray(positions, indices[i + 2] * 3);
+    volume += a.dot(b.cross(c));
+  }
+  return volume / 6;
+};
+
+// One geometry with a morph target per `{ surface, scale }`, in order. The
+// base position is the first target, so with all influences at zero it shows as-is.
+export const createMorphGeometry = (shapes, [segmentsU, segmentsV]) => {
+  const indices = gridIndex(segmentsU, segmentsV);
+
+  const targets = shapes.map(({ surface, scale }) => {
+    let positions = sampleSurface(surface, scale, segmentsU, segmentsV, false);
+    // Keep every target facing outwards, whatever handedness its parametrisation has
+    if (signedVolume(positions, indices) < 0) positions = sampleSurface(surface, scale, segmentsU, segmentsV, true);
+
+    const target = new THREE.BufferGeometry();
+    target.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    target.setIndex(indices);
+    target.computeVertexNormals();
+    return target;
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setIndex(indices);
+  geometry.setAttribute('position', targets[0].getAttribute('position').clone());
+  geometry.setAttribute('normal', targets[0].getAttribute('normal').clone());
+  geometry.morphAttributes.position = targets.map((target) => target.getAttribute('position'));
+  geometry.morphAttributes.normal = targets.map((target) => target.getAttribute('normal'));
+  // Targets are absolute positions, blended by weights that sum to one
+  geometry.morphTargetsRelative = false;
+  // Bounds cover every morph target, so frustum culling never clips an in-between shape
+  geometry.computeBoundingSphere();
+
+  return geometry;
+};
@@ -0,0 +1,38 @@
+import { useSyncExternalStore } from 'react';
+
+// -----------------------------------------------------------------------------
+// SCENE PREVIEW
+// -----------------------------------------------------------------------------
+// The project media the scene shows behind the glass while a card is hovered,
+// so the refraction picks up the client's work. A card hands over its playing
+// <video> element (no second download) or, until that has frames, its poster.
+//   { owner: slug, video: HTMLVideoElement | null, image: url }
+// Only the scene subscribes, so cards coming and going never re-render the page.
+
+let preview = null;
+const listeners = new Set();
+
+const emit = () => listeners.forEach((listener) => listener());
+
+export const showScenePreview = (next) => {
+  if (preview && next && preview.owner === next.owner && preview.video === next.video && preview.image === next.image) return;
+  preview = next;
+  emit();
+};
+
+// Only clears the preview `owner` put up, so a card leaving can't hide the next one's
+export const hideScenePreview = (owner) => {
+  if (preview?.owner !== owner) return;
+  preview = null;
+  emit();
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const getPreview = () => preview;
+const getServerPreview = () => null;
+
+export const useScenePreview = () => useSyncExternalStore(subscribe, getPreview, getServerPreview);
@@ -0,0 +1,111 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+
+// -----------------------------------------------------------------------------
+// RENDERING QUALITY TIERS
+// -----------------------------------------------------------------------------
+// The scene starts at a tier guessed from the device, then drei's
+// PerformanceMonitor steps it up or down as real frame times come in. Dropping
+// to `static` unmounts the Canvas and the monitor with it, so from there a
+// timer retries `low`, waiting twice as long after each fall back.
+// `?quality=<tier>` pins a tier (no adaptation) and `?debug` shows the overlay.
+
+export const TIERS = {
+  // No WebGL at all: a CSS poster stands in for the Canvas
+  static: { label: 'Static', canvas: false },
+  low: { label: 'Low', canvas: true, samples: 2, resolution: 256, dpr: [1, 1], sparkles: 12, morphDetail: [96, 24] },
+  high: { label: 'High', canvas: true, samples: 6, resolution: 512, dpr: [1, 1.5], sparkles: 40, morphDetail: [192, 48] },
+  ultra: { label: 'Ultra', canvas: true, samples: 10, resolution: 1024, dpr: [1, 2], sparkles: 80, morphDetail: [256, 64] }
+};
+
+export const TIER_ORDER = ['static', 'low', 'high', 'ultra'];
+
+// First wait before a demoted `static` tries the Canvas again
+const RETRY_MS = 15000;
+
+const readParams = () => (typeof window === 'undefined' ? new URLSearchParams() : new URLSearchParams(window.location.search));
+
+export const readForcedTier = () => {
+  const tier = readParams().get('quality');
+  return TIER_ORDER.includes(tier) ? tier : null;
+};
+
+export const isQualityDebug = () => readParams().has('debug');
+
+// Cheap startup probe: software renderers and constrained devices start low and
+// only climb if the monitor sees headroom
+export const detectTier = () => {
+  if (typeof document === 'undefined') return 'static';
+
+  const canvas = document.createElement('canvas');
+  const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+  if (!gl) return 'static';
+
+  const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+  const renderer = debugInfo ? String(gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL)) : '';
+  gl.getExtension('WEBGL_lose_context')?.loseContext();
+
+  if (/swiftshader|llvmpipe|software|basic render/i.test(renderer)) return 'static';
+
+  const cores = navigator.hardwareConcurrency || 4;
+  const memory = navigator.deviceMemory || 4;
+  const coarse = window.matchMedia?.('(pointer: coarse)').matches;
+
+  if (coarse || cores <= 4 || memory <= 4) return 'low';
+  if (cores >= 8 && memory >= 8 && /apple m\d|rtx|radeon rx|geforce/i.test(renderer)) return 'ultra';
+  return 'high';
+};
+
+export const useQualityTier = () => {
+  const [state, setState] = useState(() => {
+    const forced = readForcedTier();
+    // `demotions` counts falls to `static`; one detected up front never retries
+    return { tier: forced || detectTier(), forced: Boolean(forced), locked: false, demotions: 0 };
+  });
+  // Written by the in-Canvas monitor; read by the debug overlay on its own clock
+  const fps = useRef(0);
+
+  const step = useCallback((direction) => {
+    setState((current) => {
+      if (current.forced || current.locked) return current;
+      const index = TIER_ORDER.indexOf(current.tier) + direction;
+      if (index < 0 || index >= TIER_ORDER.length) return current;
+      const tier = TIER_ORDER[index];
+      return { ...current, tier, demotions: current.demotions + (tier === 'static' ? 1 : 0) };
+    });
+  }, []);
+
+  const stepUp = useCallback(() => step(1), [step]);
+  const stepDown = useCallback(() => step(-1), [step]);
+  // The monitor gave up after flip-flopping between tiers; stay where we are
+  const lock = useCallback(() => setState((current) => ({ ...current, locked: true })), []);
+
+  const { tier, demotions } = state;
+  useEffect(() => {
+    if (tier !== 'static' || !demotions) return undefined;
+    const id = setTimeout(stepUp, RETRY_MS * 2 ** (demotions - 1));
+    return () => clearTimeout(id);
+  }, [tier, demotions, stepUp]);
+
+  return { ...state, settings: TIERS[state.tier], fps, stepUp, stepDown, lock };
+};
+
+export const QualityOverlay = ({ quality }) => {
+  const readout = useRef(null);
+  const { tier, fps } = quality;
+
+  useEffect(() => {
+    const id = setInterval(() => {
+      if (readout.current) readout.current.textContent = TIERS[tier].canvas ? `${Math.round(fps.current)} FPS` : '— FPS';
+    }, 500);
+    return () => clearInterval(id);
+  }, [tier, fps]);
+
+  const mode = quality.forced ? 'forced' : quality.locked ? 'locked' : 'adaptive';
+
+  return (
+    <div style={{ position: 'fixed', top: '1rem', left: '1rem', zIndex: 9998, padding: '0.5rem 0.75rem', background: 'rgba(0,0,0,0.7)', border: '1px solid var(--vero-line)', fontFamily: 'Space Mono, monospace', fontSize: '0.75rem', color: 'white', pointerEvents: 'none' }}>
+      <span style={{ color: 'var(--vero-accent)', textTransform: 'uppercase', letterSpacing: '0.1em' }}>{quality.settings.label}</span>
+      {' · '}<span ref={readout}>— FPS</span>{' · '}{mode}
+    </div>
+  );
+};
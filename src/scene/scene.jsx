@@ -0,0 +1,386 @@
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState, Suspense } from 'react';
+import { Canvas, useFrame, useThree } from '@react-three/fiber';
+import { 
+  MeshTransmissionMaterial, 
+  Environment, 
+  Float, 
+  Sparkles,
+  Lightformer,
+  PerformanceMonitor,
+  useGLTF
+} from '@react-three/drei';
+import * as THREE from 'three';
+import { SECTIONS } from '../content/index.js';
+import { POST_SHAPES } from '../content/posts.js';
+import { createMorphGeometry } from './morph-geometry.js';
+import { DRACO_DECODER_PATH, getShape, resolveSurface } from './shapes.js';
+import { useGrab } from './grab.js';
+import { useQualityTier, isQualityDebug, QualityOverlay } from './quality.jsx';
+import { usePointer } from '../input/pointer.js';
+import { useSectionScroll } from '../input/scroll.js';
+import { useScenePreview } from './preview.js';
+import { useReducedMotion } from '../a11y/accessibility.jsx';
+import { ErrorBoundary } from '../errors/boundary.jsx';
+import { reportError } from '../errors/report.js';
+import { useTheme } from '../theme/index.js';
+import { environmentUrl } from '../pwa/assets.js';
+import { MATERIAL_KEYS, resolveColor } from '../theme/tokens.js';
+
+// -----------------------------------------------------------------------------
+// 3D SCENE & MORPHING LOGIC
+// -----------------------------------------------------------------------------
+
+const SECTION_IDS = SECTIONS.map(({ id }) => id);
+// What the blend moves through: the sections in scroll order, then one plain
+// glass stage per shape an insights post can pin
+const STAGES = [
+  ...SECTIONS.map(({ shape, color, material }) => ({ shape, color, material })),
+  ...POST_SHAPES.map((shape) => ({ shape, color: 'glass' }))
+];
+// Morph targets: each registered shape used by a stage, once, in first-use order
+const TARGET_SHAPES = [...new Set(STAGES.map(({ shape }) => shape))].map(getShape);
+const STAGE_TARGETS = STAGES.map(({ shape }) => TARGET_SHAPES.findIndex(({ name }) => name === shape));
+// Material: the theme's glass < the shape's overrides < the section's own values.
+// Colours may name a palette entry, so they follow the theme too.
+// Float motion comes from the shape and is blended like everything else.
+const stageLooks = ({ palette, scene }) => STAGES.map(({ shape, color, material }) => ({
+  color: new THREE.Color(resolveColor(color, palette)),
+  material: { ...scene.material, ...getShape(shape).material, ...material },
+  motion: getShape(shape).float
+}));
+
+const MODEL_URLS = TARGET_SHAPES.filter(({ kind }) => kind === 'model').map(({ source }) => source);
+
+// glTF sources for the morph targets, keyed by URL. Suspends until they are in.
+// MODEL_URLS is fixed for the page, so the hook is either always or never called.
+const useShapeModels = () => {
+  const loaded = MODEL_URLS.length ? useGLTF(MODEL_URLS, DRACO_DECODER_PATH, true) : [];
+  return useMemo(() => Object.fromEntries(MODEL_URLS.map((url, i) => [url, loaded[i]])), [loaded]);
+};
+
+const lerp = THREE.MathUtils.lerp;
+
+// How far the shape sits off centre, toward the side opposite the text
+const SIDE_OFFSET = 3;
+
+// Height of the preview plane; its width follows the media's aspect ratio
+const PREVIEW_HEIGHT = 4.5;
+
+// The hovered project's media on a plane just behind the glass (see
+// scene/preview.js). The transmission material refracts whatever is behind
+// the mesh, so the client's work shows through the shape. The last texture is
+// kept while the plane fades out and disposed once it is replaced.
+const PreviewPlane = ({ reducedMotion }) => {
+  const preview = useScenePreview();
+  const [texture, setTexture] = useState(null);
+  const plane = useRef();
+  const material = useRef();
+
+  useEffect(() => {
+    if (!preview) return undefined;
+    if (preview.video) {
+      const videoTexture = new THREE.VideoTexture(preview.video);
+      videoTexture.colorSpace = THREE.SRGBColorSpace;
+      setTexture(videoTexture);
+      return undefined;
+    }
+    let cancelled = false;
+    new THREE.TextureLoader().load(preview.image, (image) => {
+      if (cancelled) {
+        image.dispose();
+        return;
+      }
+      image.colorSpace = THREE.SRGBColorSpace;
+      setTexture(image);
+    }, undefined, (error) => reportError(error, { scope: 'scene' }));
+    return () => { cancelled = true; };
+  }, [preview]);
+
+  useEffect(() => () => texture?.dispose(), [texture]);
+
+  useFrame((state, delta) => {
+    if (!plane.current || !material.current) return;
+    const shown = preview ? 1 : 0;
+    material.current.opacity = reducedMotion ? shown : THREE.MathUtils.damp(material.current.opacity, shown, 6, delta);
+    plane.current.visible = material.current.opacity > 0.01;
+
+    const { image } = texture;
+    const width = image?.videoWidth || image?.width;
+    const height = image?.videoHeight || image?.height;
+    const aspect = width && height ? width / height : 4 / 3;
+    plane.current.scale.set(PREVIEW_HEIGHT * aspect, PREVIEW_HEIGHT, 1);
+  });
+
+  // Mounted with its first texture, so the material compiles with a map
+  if (!texture) return null;
+
+  return (
+    <mesh ref={plane} position={[0, 0, -4]} visible={false}>
+      <planeGeometry />
+      <meshBasicMaterial ref={material} map={texture} transparent opacity={0} toneMapped={false} depthWrite={false} />
+    </mesh>
+  );
+};
+
+// One glass mesh that follows scroll progress through the sections, blending
+// geometry (morph targets), material and float motion between neighbours.
+// Scrolling back simply runs the same blend in reverse. A pinned section (the
+// case study pages) or shape (insights posts) overrides the scroll position,
+// with the shape winning when both are set. It can also be grabbed and
+// spun (see grab.js). It sits off to the side the text leaves free: the right,
+// or the left when `mirrored` (RTL locales), with the hovered project's
+// preview behind it.
+// With reduced motion the shape holds still: no spin, no float bobbing, no parallax
+const MorphingShape = ({ pinnedSection, pinnedShape, quality, reducedMotion, mirrored, theme }) => {
+  const group = useRef();
+  const handle = useRef();
+  const spin = useRef();
+  const floater = useRef();
+  const mesh = useRef();
+  const material = useRef();
+  const mouse = usePointer();
+  const scroll = useSectionScroll(SECTION_IDS);
+  const { viewport } = useThree();
+
+  const models = useShapeModels();
+  const geometry = useMemo(() => createMorphGeometry(
+    TARGET_SHAPES.map((shape) => ({ surface: resolveSurface(shape, models), scale: shape.scale })),
+    quality.morphDetail
+  ), [models, quality.morphDetail]);
+  const looks = useMemo(() => stageLooks(theme), [theme]);
+  const background = useMemo(() => new THREE.Color(theme.palette.background), [theme.palette.background]);
+  const blend = useRef(null);
+  const floatPhase = useRef(Math.random() * 10000);
+  const grab = useGrab({ mesh, handle, reducedMotion });
+  const offsetX = mirrored ? -SIDE_OFFSET : SIDE_OFFSET;
+
+  // Mesh only sizes morphTargetInfluences when constructed with a geometry
+  useLayoutEffect(() => {
+    mesh.current.updateMorphTargets();
+    return () => geometry.dispose();
+  }, [geometry]);
+
+  useFrame((state, delta) => {
+    if (!group.current || !mesh.current || !material.current) return;
+
+    const motion = reducedMotion ? 0 : 1;
+    // Idle spin pauses while the shape is being handled
+    const autoRotate = motion * grab.autoRotate;
+
+    // Base Rotation
+    spin.current.rotation.x += delta * 0.1 * autoRotate;
+    spin.current.rotation.y += delta * 0.15 * autoRotate;
+    mesh.current.rotation.x += delta * 0.2 * autoRotate;
+    mesh.current.rotation.y += delta * 0.2 * autoRotate;
+    
+    // Mouse Interaction (Parallax)
+    group.current.position.x = lerp(group.current.position.x, mouse.x * 0.5 * motion + offsetX, 0.05); // biased to the free side
+    group.current.position.y = lerp(group.current.position.y, mouse.y * 0.5 * motion, 0.05);
+
+    // Ease the blend position toward the scroll position (or the pinned stage)
+    const pinned = pinnedShape ? SECTIONS.length + POST_SHAPES.indexOf(pinnedShape)
+      : pinnedSection ? SECTION_IDS.indexOf(pinnedSection) : -1;
+    const target = pinned >= 0 ? pinned : scroll.hold ?? scroll.position;
+    // Section jumps cut straight to the destination (see input/scroll.js)
+    if (blend.current === null || (scroll.snap && pinned < 0)) blend.current = target;
+    else blend.current = THREE.MathUtils.damp(blend.current, target, 4, delta);
+    scroll.snap = false;
+
+    const from = Math.min(Math.floor(blend.current), STAGES.length - 1);
+    const to = Math.min(from + 1, STAGES.length - 1);
+    const t = THREE.MathUtils.clamp(blend.current - from, 0, 1);
+    const a = looks[from];
+    const b = looks[to];
+
+    // Geometry: weights of the two neighbouring shapes always sum to one
+    const influences = mesh.current.morphTargetInfluences;
+    influences.fill(0);
+    influences[STAGE_TARGETS[from]] += 1 - t;
+    influences[STAGE_TARGETS[to]] += t;
+
+    // Material
+    material.current.color.lerpColors(a.color, b.color, t);
+    MATERIAL_KEYS.forEach((key) => { material.current[key] = lerp(a.material[key], b.material[key], t); });
+    material.current.chromaticAberration += grab.hoverAmount * theme.scene.hoverAberration;
+
+    // Float bobbing (drei's <Float> maths, with a phase so the speed can change smoothly)
+    floatPhase.current += (delta / 4) * lerp(a.motion.speed, b.motion.speed, t) * motion;
+    const rotationIntensity = lerp(a.motion.rotationIntensity, b.motion.rotationIntensity, t) * motion;
+    const floatIntensity = lerp(a.motion.floatIntensity, b.motion.floatIntensity, t) * motion;
+    floater.current.rotation.x = (Math.cos(floatPhase.current) / 8) * rotationIntensity;
+    floater.current.rotation.y = (Math.sin(floatPhase.current) / 8) * rotationIntensity;
+    floater.current.rotation.z = (Math.sin(floatPhase.current) / 20) * rotationIntensity;
+    floater.current.position.y = (Math.sin(floatPhase.current) / 10) * floatIntensity;
+
+    // Shape scales are baked into the targets; only the small-viewport reduction remains
+    const mobileRatio = viewport.width < 7 ? 0.6 : 1;
+    mesh.current.scale.lerp(new THREE.Vector3(mobileRatio, mobileRatio, mobileRatio), delta * 4);
+  });
+
+  const initial = looks[0];
+
+  return (
+    <group ref={group} position={[offsetX, 0, 0]}> {/* Positioned to the free side */}
+      <PreviewPlane reducedMotion={reducedMotion} />
+      <group ref={handle}>
+        <group ref={spin}>
+          <group ref={floater}>
+            <mesh ref={mesh} geometry={geometry}>
+              <MeshTransmissionMaterial 
+                ref={material}
+                backside={false}
+                samples={quality.samples}
+                resolution={quality.resolution}
+                {...initial.material}
+                color={initial.color}
+                background={background}
+              />
+            </mesh>
+          </group>
+        </group>
+      </group>
+    </group>
+  );
+};
+
+// The HDR environment comes from our own origin so it can be cached for offline
+// use (see pwa/assets.js); drei's CDN copy stands in while ours is missing
+const Lighting = ({ reducedMotion, theme: { palette, scene: { lighting } } }) => (
+  <>
+    <ErrorBoundary key={lighting.environment} scope="environment" fallback={<Environment preset={lighting.environment} />}>
+      <Environment files={environmentUrl(lighting.environment)} />
+    </ErrorBoundary>
+    <ambientLight intensity={lighting.ambient} />
+    <spotLight position={[10, 10, 10]} angle={0.15} penumbra={1} intensity={lighting.key} color={palette.accent} />
+    <pointLight position={[-10, -10, -10]} intensity={lighting.fill} color={palette.secondary} />
+    <Float speed={5} floatIntensity={2} enabled={!reducedMotion}>
+      <Lightformer form="ring" color={palette.accent} intensity={lighting.ring} scale={10} position={[-15, 0, -10]} target={[0, 0, 0]} />
+    </Float>
+  </>
+);
+
+// Keeps the cleared canvas on the theme background as the theme changes
+const ClearColor = ({ color }) => {
+  const gl = useThree((state) => state.gl);
+  useEffect(() => {
+    gl.setClearColor(new THREE.Color(color));
+  }, [gl, color]);
+  return null;
+};
+
+// Smoothed frames-per-second written into a ref for the debug overlay (no re-renders)
+const FrameMeter = ({ fps }) => {
+  useFrame((state, delta) => {
+    if (delta > 0) fps.current = THREE.MathUtils.lerp(fps.current || 1 / delta, 1 / delta, 0.05);
+  });
+  return null;
+};
+
+// Stand-in for the Canvas on the static tier or when WebGL fails: the copper glow
+// where the shape would be, without WebGL
+export const ScenePoster = ({ mirrored = false }) => (
+  <div
+    aria-hidden="true"
+    style={{ position: 'absolute', inset: 0, background: `radial-gradient(circle at ${mirrored ? 28 : 72}% 50%, color-mix(in srgb, var(--vero-accent) 35%, transparent) 0%, color-mix(in srgb, var(--vero-accent) 8%, transparent) 25%, transparent 50%), radial-gradient(circle at ${mirrored ? 80 : 20}% 80%, color-mix(in srgb, var(--vero-secondary) 8%, transparent) 0%, transparent 40%), var(--vero-background)` }}
+  />
+);
+
+// Context loss: the poster covers the dead canvas until the browser restores
+// the context, then the Canvas is rebuilt from scratch. If no restore arrives we
+// rebuild anyway after a while, and give up (poster for good) after a few tries.
+const RESTORE_TIMEOUT = 3000;
+const MAX_REBUILDS = 3;
+
+export const Scene = ({ pinnedSection, pinnedShape, mirrored = false }) => {
+  const quality = useQualityTier();
+  const reducedMotion = useReducedMotion();
+  const theme = useTheme();
+  const { settings } = quality;
+  const { sparkles } = theme.scene;
+
+  // 'live' | 'lost' | 'failed'
+  const [status, setStatus] = useState('live');
+  // Prerendered HTML carries the poster; the Canvas only takes over once hydrated
+  const [mounted, setMounted] = useState(false);
+  // Bumped to remount the Canvas (and its error boundary) from scratch;
+  // always alongside a status change, which is what re-renders
+  const generation = useRef(0);
+  const restoreTimer = useRef(null);
+
+  useEffect(() => {
+    setMounted(true);
+    return () => clearTimeout(restoreTimer.current);
+  }, []);
+
+  const fail = useCallback((error) => {
+    reportError(error, { scope: 'scene' });
+    setStatus('failed');
+  }, []);
+
+  const rebuild = useCallback(() => {
+    clearTimeout(restoreTimer.current);
+    if (generation.current >= MAX_REBUILDS) {
+      setStatus('failed');
+      return;
+    }
+    generation.current += 1;
+    setStatus('live');
+  }, []);
+
+  const handleCreated = useCallback(({ gl }) => {
+    // three only logs shader compile errors; treat them as fatal for the Canvas
+    gl.debug.onShaderError = () => fail(new Error('WebGL shader failed to compile'));
+
+    const canvas = gl.domElement;
+    canvas.addEventListener('webglcontextlost', (e) => {
+      // Without preventDefault the browser never offers the context back
+      e.preventDefault();
+      reportError(new Error('WebGL context lost'), { scope: 'scene' });
+      setStatus('lost');
+      clearTimeout(restoreTimer.current);
+      restoreTimer.current = setTimeout(rebuild, RESTORE_TIMEOUT);
+    });
+    canvas.addEventListener('webglcontextrestored', rebuild);
+  }, [fail, rebuild]);
+
+  return (
+    <div aria-hidden="true" style={{ position: 'fixed', top: 0, left: 0, width: '100vw', height: '100dvh', zIndex: 0, background: 'var(--vero-background)' }}>
+      {mounted && settings.canvas && status !== 'failed' ? (
+        <>
+          <ErrorBoundary key={generation.current} scope="scene" fallback={<ScenePoster mirrored={mirrored} />}>
+            <Canvas 
+              dpr={settings.dpr} 
+              camera={{ position: [0, 0, 15], fov: 45 }} 
+              gl={{ alpha: true, antialias: false, preserveDrawingBuffer: true }}
+              onCreated={handleCreated}
+            >
+              <ClearColor color={theme.palette.background} />
+              <Suspense fallback={null}>
+                <Lighting reducedMotion={reducedMotion} theme={theme} />
+                <MorphingShape pinnedSection={pinnedSection} pinnedShape={pinnedShape} quality={settings} reducedMotion={reducedMotion} mirrored={mirrored} theme={theme} />
+                {/* Frame-time watchdog, started once assets are in so loading jank doesn't count:
+                    steps the tier down when frames drop, up when there is headroom */}
+                <PerformanceMonitor flipflops={3} onIncline={quality.stepUp} onDecline={quality.stepDown} onFallback={quality.lock} />
+                <FrameMeter fps={quality.fps} />
+              </Suspense>
+              {settings.sparkles > 0 && sparkles.density > 0 && (
+                <Sparkles
+                  count={Math.round(settings.sparkles * sparkles.density)}
+                  scale={10}
+                  size={sparkles.size}
+                  speed={reducedMotion ? 0 : sparkles.speed}
+                  opacity={sparkles.opacity}
+                  color={theme.palette.accent}
+                />
+              )}
+            </Canvas>
+          </ErrorBoundary>
+          {status === 'lost' && <ScenePoster mirrored={mirrored} />}
+        </>
+      ) : (
+        <ScenePoster mirrored={mirrored} />
+      )}
+      {mounted && isQualityDebug() && <QualityOverlay quality={quality} />}
+    </div>
+  );
+};
@@ -0,0 +1,126 @@
+import * as THREE from 'three';
+import { torusKnot, sphere, capsule, polyhedron, radialSurface } from './morph-geometry.js';
+
+// -----------------------------------------------------------------------------
+// SHAPE REGISTRY
+// -----------------------------------------------------------------------------
+// Every shape a section can name. An entry gives exactly one source:
+//   surface   () => (u, v, target) => target   custom parametric surface
+//   geometry  () => THREE.BufferGeometry       any primitive / hand-built mesh
+//   model     '/models/logo.glb'               glTF, Draco / meshopt compressed or not
+// plus how it is shown:
+//   scale     size the shape is baked at
+//   float     { speed, rotationIntensity, floatIntensity } (drei <Float> semantics)
+//   material  glass overrides; the section's own `material` still wins
+// Built-ins are registered below; content-defined shapes (site.json `shapes`)
+// are registered by the content loader before sections are validated.
+
+const DEFAULT_FLOAT = { speed: 2, rotationIntensity: 0.5, floatIntensity: 0.5 };
+const SOURCES = ['surface', 'geometry', 'model'];
+
+// Models use drei's Draco loader; point this at a self-hosted copy of the decoders to drop the CDN
+export const DRACO_DECODER_PATH = import.meta.env?.VITE_DRACO_DECODER_PATH || 'https://www.gstatic.com/draco/versioned/decoders/1.5.5/';
+
+const registry = new Map();
+
+export const registerShape = (name, { scale = 1, float, material, ...source }) => {
+  const kinds = SOURCES.filter((kind) => source[kind] !== undefined);
+  if (kinds.length !== 1) throw new Error(`Shape "${name}" needs exactly one of ${SOURCES.join(', ')}`);
+
+  registry.set(name, {
+    name,
+    kind: kinds[0],
+    source: source[kinds[0]],
+    scale,
+    float: { ...DEFAULT_FLOAT, ...float },
+    material: { ...material }
+  });
+};
+
+export const hasShape = (name) => registry.has(name);
+
+export const shapeNames = () => [...registry.keys()];
+
+export const getShape = (name) => {
+  const shape = registry.get(name);
+  if (!shape) throw new Error(`Unknown shape "${name}"`);
+  return shape;
+};
+
+// Surfaces are built on first use and kept: geometry and model entries bake a
+// ray-cast distance map, which is not something to redo on every tier change
+const surfaces = new Map();
+
+// All meshes of a loaded glTF scene as one non-indexed, position-only geometry
+// in scene space. Reading through fromBufferAttribute copes with the
+// interleaved / quantized attributes meshopt-compressed files decode to.
+const modelGeometry = (scene) => {
+  scene.updateMatrixWorld(true);
+  const chunks = [];
+  const vertex = new THREE.Vector3();
+  scene.traverse((child) => {
+    if (!child.isMesh) return;
+    const positions = child.geometry.getAttribute('position');
+    const { index } = child.geometry;
+    const count = index ? index.count : positions.count;
+    const chunk = new Float32Array(count * 3);
+    for (let k = 0; k < count; k++) {
+      vertex.fromBufferAttribute(positions, index ? index.getX(k) : k).applyMatrix4(child.matrixWorld).toArray(chunk, k * 3);
+    }
+    chunks.push(chunk);
+  });
+  if (chunks.length === 0) throw new Error('Model contains no meshes');
+
+  const merged = new Float32Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  chunks.reduce((offset, chunk) => {
+    merged.set(chunk, offset);
+    return offset + chunk.length;
+  }, 0);
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(merged, 3));
+  return geometry;
+};
+
+// `models` maps model URLs to loaded glTF results (see useShapeModels in scene.jsx)
+export const resolveSurface = (shape, models = {}) => {
+  if (surfaces.has(shape.name)) return surfaces.get(shape.name);
+
+  let surface;
+  if (shape.kind === 'surface') {
+    surface = shape.source();
+  } else {
+    const geometry = shape.kind === 'geometry' ? shape.source() : modelGeometry(models[shape.source].scene);
+    surface = radialSurface(geometry);
+    geometry.dispose();
+  }
+  surfaces.set(shape.name, surface);
+  return surface;
+};
+
+// -----------------------------------------------------------------------------
+// BUILT-IN SHAPES
+// -----------------------------------------------------------------------------
+
+registerShape('knot', {
+  surface: () => torusKnot({ radius: 1, tube: 0.35 }),
+  scale: 3,
+  float: { speed: 2, rotationIntensity: 0.5, floatIntensity: 0.5 }
+});
+
+registerShape('prism', {
+  surface: () => polyhedron(new THREE.IcosahedronGeometry(1, 0)),
+  scale: 3.5,
+  float: { speed: 3, rotationIntensity: 1, floatIntensity: 0.5 }
+});
+
+registerShape('capsule', {
+  surface: () => capsule({ radius: 0.7, length: 2 }),
+  scale: 2.5,
+  float: { speed: 2, rotationIntensity: 0.5, floatIntensity: 0.5 }
+});
+
+registerShape('orb', {
+  surface: () => sphere({ radius: 1.2 }),
+  scale: 2.5,
+  float: { speed: 1.5, rotationIntensity: 0.2, floatIntensity: 1 }
+});
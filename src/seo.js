@@ -0,0 +1,288 @@
+import { SITE, CONTACT, PROJECTS, getContent, getProject } from './content/index.js';
+import { LISTING_PATHS, POSTS, getPost, insightsPath, listPosts } from './content/posts.js';
+import { DEFAULT_LOCALE, LOCALES, LOCALE_CODES, localizePath } from './i18n/locales.js';
+import { translate } from './i18n/index.jsx';
+
+// -----------------------------------------------------------------------------
+// PAGE METADATA
+// -----------------------------------------------------------------------------
+// One description of each page's <head> (title, description, canonical, Open
+// Graph / Twitter cards, JSON-LD), used twice: serialized into the prerendered
+// HTML at build time, and applied to the live document on client navigation.
+// Every managed element carries `data-page-meta` so the client can swap the
+// whole set without touching anything else in <head>. Each page links its
+// translations with hreflang alternates; English doubles as x-default.
+// Insights pages are English only, so they canonicalize to the unprefixed URL
+// and list no alternates.
+
+const absolute = (path) => (/^https?:\/\//.test(path) ? path : `${SITE.url}${path}`);
+
+const organization = () => ({
+  '@type': 'Organization',
+  name: SITE.name,
+  url: `${SITE.url}/`,
+  email: CONTACT.email,
+  ...(CONTACT.location && { address: CONTACT.location }),
+  ...(SITE.image && { logo: absolute(SITE.image) }),
+  sameAs: CONTACT.social.map(({ href }) => href)
+});
+
+// The same page in every locale, plus x-default for visitors matching none
+const alternates = (path) => [
+  ...LOCALE_CODES.map((locale) => ({ hreflang: locale, href: absolute(localizePath(path, locale)) })),
+  { hreflang: 'x-default', href: absolute(path) }
+];
+
+// `route` is a matchRoutes() result for the path without its locale prefix
+export const getPageMeta = (route, locale = DEFAULT_LOCALE) => {
+  const site = getContent(locale).site;
+  const project = route.name === 'project' ? getProject(route.params.slug, locale) : null;
+  const common = { locale, description: site.description, type: 'website', alternates: [] };
+
+  if (project) {
+    const path = `/work/${project.slug}`;
+    const url = absolute(localizePath(path, locale));
+    return {
+      ...common,
+      title: `${project.title} — ${SITE.name}`,
+      description: project.summary,
+      canonical: url,
+      type: 'article',
+      ...(project.media && { image: project.media.poster.src }),
+      alternates: alternates(path),
+      jsonLd: [{
+        '@context': 'https://schema.org',
+        '@type': 'CreativeWork',
+        name: project.title,
+        headline: project.title,
+        description: project.summary,
+        url,
+        ...(project.year && { dateCreated: String(project.year) }),
+        ...(project.client && { sourceOrganization: { '@type': 'Organization', name: project.client } }),
+        ...(project.media && { image: absolute(project.media.poster.src) }),
+        keywords: project.stack.join(', '),
+        inLanguage: locale,
+        creator: organization()
+      }]
+    };
+  }
+
+  if (route.name === 'home') {
+    return {
+      ...common,
+      title: site.title,
+      canonical: absolute(localizePath('/', locale)),
+      alternates: alternates('/'),
+      jsonLd: [{ '@context': 'https://schema.org', ...organization() }]
+    };
+  }
+
+  if (route.name === 'post') {
+    const post = getPost(route.params.slug);
+    if (post) {
+      const url = absolute(`/insights/${post.slug}`);
+      return {
+        ...common,
+        locale: DEFAULT_LOCALE,
+        title: `${post.title} — ${SITE.name}`,
+        description: post.summary,
+        canonical: url,
+        type: 'article',
+        ...(post.cover && { image: post.cover }),
+        jsonLd: [{
+          '@context': 'https://schema.org',
+          '@type': 'BlogPosting',
+          headline: post.title,
+          description: post.summary,
+          url,
+          datePublished: post.date,
+          ...(post.cover && { image: absolute(post.cover) }),
+          keywords: post.tags.join(', '),
+          inLanguage: DEFAULT_LOCALE,
+          author: organization(),
+          publisher: organization()
+        }]
+      };
+    }
+  }
+
+  if (route.name === 'insights') {
+    const listing = listPosts(route.params);
+    if (listing) {
+      const label = translate(locale, 'insights.label');
+      const heading = [label, listing.tag && `#${listing.tag}`, listing.page > 1 && translate(locale, 'insights.page', listing)].filter(Boolean).join(' · ');
+      return {
+        ...common,
+        title: `${heading} — ${SITE.name}`,
+        description: translate(locale, 'insights.description'),
+        canonical: absolute(insightsPath(listing)),
+        jsonLd: []
+      };
+    }
+  }
+
+  if (route.name === 'offline') {
+    return { ...common, title: `${translate(locale, 'offline.label')} — ${SITE.name}`, robots: 'noindex', jsonLd: [] };
+  }
+
+  return { ...common, title: `${translate(locale, 'notFound.label')} — ${SITE.name}`, robots: 'noindex', jsonLd: [] };
+};
+
+// Flat list of { tag, attrs, text } for everything but <title>
+const headTags = (meta) => {
+  const image = meta.image || SITE.image;
+  const tags = [
+    ['meta', { name: 'description', content: meta.description }],
+    meta.robots && ['meta', { name: 'robots', content: meta.robots }],
+    meta.canonical && ['link', { rel: 'canonical', href: meta.canonical }],
+    ...meta.alternates.map(({ hreflang, href }) => ['link', { rel: 'alternate', hreflang, href }]),
+    ['meta', { property: 'og:site_name', content: SITE.name }],
+    ['meta', { property: 'og:locale', content: LOCALES[meta.locale].ogLocale }],
+    ...LOCALE_CODES.filter((locale) => locale !== meta.locale).map((locale) => ['meta', { property: 'og:locale:alternate', content: LOCALES[locale].ogLocale }]),
+    ['meta', { property: 'og:type', content: meta.type }],
+    ['meta', { property: 'og:title', content: meta.title }],
+    ['meta', { property: 'og:description', content: meta.description }],
+    meta.canonical && ['meta', { property: 'og:url', content: meta.canonical }],
+    image && ['meta', { property: 'og:image', content: absolute(image) }],
+    ['meta', { name: 'twitter:card', content: image ? 'summary_large_image' : 'summary' }],
+    SITE.twitter && ['meta', { name: 'twitter:site', content: SITE.twitter }],
+    ['meta', { name: 'twitter:title', content: meta.title }],
+    ['meta', { name: 'twitter:description', content: meta.description }],
+    image && ['meta', { name: 'twitter:image', content: absolute(image) }],
+    ['link', { rel: 'alternate', type: 'application/rss+xml', title: `${SITE.name} — Insights`, href: absolute('/feed.xml') }],
+    ['link', { rel: 'alternate', type: 'application/atom+xml', title: `${SITE.name} — Insights`, href: absolute('/atom.xml') }]
+  ].filter(Boolean).map(([tag, attrs]) => ({ tag, attrs }));
+
+  // `<` escaped so a string in the data can never close the script element
+  meta.jsonLd.forEach((data) => tags.push({
+    tag: 'script',
+    attrs: { type: 'application/ld+json' },
+    text: JSON.stringify(data).replace(/</g, '\\u003c')
+  }));
+
+  return tags;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Build time: the <head> markup for a prerendered page
+export const renderHeadTags = (meta) => [
+  `<title>${escapeHtml(meta.title)}</title>`,
+  ...headTags(meta).map(({ tag, attrs, text }) => {
+    const attributes = Object.entries(attrs).map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join('');
+    return tag === 'script' ? `<script data-page-meta${attributes}>${text}</script>` : `<${tag} data-page-meta${attributes}>`;
+  })
+].join('\n    ');
+
+// Client: replace the managed head elements after a route change
+export const applyDocumentMeta = (meta) => {
+  document.title = meta.title;
+  document.head.querySelectorAll('[data-page-meta]').forEach((element) => element.remove());
+  headTags(meta).forEach(({ tag, attrs, text }) => {
+    const element = document.createElement(tag);
+    element.setAttribute('data-page-meta', '');
+    Object.entries(attrs).forEach(([name, value]) => element.setAttribute(name, value));
+    if (text) element.textContent = text;
+    document.head.appendChild(element);
+  });
+};
+
+// Every page, unprefixed; each exists once per locale
+const PAGE_PATHS = ['/', ...PROJECTS.map(({ slug }) => `/work/${slug}`)];
+
+// Insights listings and posts, English only
+const INSIGHTS_PATHS = [...LISTING_PATHS, ...POSTS.map(({ slug }) => `/insights/${slug}`)];
+
+// The service worker's offline page for each locale, keyed by the locale's
+// home path (the longest one a URL starts with wins). Never in the sitemap.
+export const OFFLINE_PAGES = Object.fromEntries(LOCALE_CODES.map((locale) => [localizePath('/', locale), localizePath('/offline', locale)]));
+
+// Every URL worth prerendering; all but the offline pages are listed in the sitemap
+export const PRERENDER_PATHS = [
+  ...LOCALE_CODES.flatMap((locale) => PAGE_PATHS.map((path) => localizePath(path, locale))),
+  ...INSIGHTS_PATHS,
+  ...Object.values(OFFLINE_PAGES)
+];
+
+// One <url> per page and locale, each listing all its translations, then the insights pages
+export const renderSitemap = () => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+  ...PAGE_PATHS.flatMap((path) => LOCALE_CODES.map((locale) => [
+    '  <url>',
+    `    <loc>${escapeHtml(absolute(localizePath(path, locale)))}</loc>`,
+    ...alternates(path).map(({ hreflang, href }) => `    <xhtml:link rel="alternate" hreflang="${hreflang}" href="${escapeHtml(href)}"/>`),
+    '  </url>'
+  ].join('\n'))),
+  ...INSIGHTS_PATHS.map((path) => `  <url>\n    <loc>${escapeHtml(absolute(path))}</loc>\n  </url>`),
+  '</urlset>',
+  ''
+].join('\n');
+
+export const renderRobots = () => `User-agent: *\nAllow: /\n\nSitemap: ${SITE.url}/sitemap.xml\n`;
+
+// -----------------------------------------------------------------------------
+// FEEDS
+// -----------------------------------------------------------------------------
+// The insights posts as RSS 2.0 (feed.xml) and Atom (atom.xml), newest first.
+// Entries carry the summary and link to the post; dates are midnight UTC.
+
+const FEED_SIZE = 20;
+
+const feedTitle = () => `${SITE.name} — Insights`;
+
+const postUrl = (post) => absolute(`/insights/${post.slug}`);
+
+export const renderRssFeed = () => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+  '  <channel>',
+  `    <title>${escapeHtml(feedTitle())}</title>`,
+  `    <link>${escapeHtml(absolute('/insights'))}</link>`,
+  `    <description>${escapeHtml(translate(DEFAULT_LOCALE, 'insights.description'))}</description>`,
+  `    <language>${DEFAULT_LOCALE}</language>`,
+  `    <atom:link href="${escapeHtml(absolute('/feed.xml'))}" rel="self" type="application/rss+xml"/>`,
+  ...(POSTS.length ? [`    <lastBuildDate>${new Date(POSTS[0].date).toUTCString()}</lastBuildDate>`] : []),
+  ...POSTS.slice(0, FEED_SIZE).map((post) => [
+    '    <item>',
+    `      <title>${escapeHtml(post.title)}</title>`,
+    `      <link>${escapeHtml(postUrl(post))}</link>`,
+    `      <guid isPermaLink="true">${escapeHtml(postUrl(post))}</guid>`,
+    `      <pubDate>${new Date(post.date).toUTCString()}</pubDate>`,
+    `      <description>${escapeHtml(post.summary)}</description>`,
+    ...post.tags.map((tag) => `      <category>${escapeHtml(tag)}</category>`),
+    '    </item>'
+  ].join('\n')),
+  '  </channel>',
+  '</rss>',
+  ''
+].join('\n');
+
+export const renderAtomFeed = () => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${DEFAULT_LOCALE}">`,
+  `  <title>${escapeHtml(feedTitle())}</title>`,
+  `  <subtitle>${escapeHtml(translate(DEFAULT_LOCALE, 'insights.description'))}</subtitle>`,
+  `  <id>${escapeHtml(absolute('/insights'))}</id>`,
+  `  <link href="${escapeHtml(absolute('/insights'))}"/>`,
+  `  <link rel="self" href="${escapeHtml(absolute('/atom.xml'))}"/>`,
+  `  <updated>${new Date(POSTS[0]?.date || 0).toISOString()}</updated>`,
+  `  <author><name>${escapeHtml(SITE.name)}</name></author>`,
+  ...POSTS.slice(0, FEED_SIZE).map((post) => [
+    '  <entry>',
+    `    <title>${escapeHtml(post.title)}</title>`,
+    `    <id>${escapeHtml(postUrl(post))}</id>`,
+    `    <link href="${escapeHtml(postUrl(post))}"/>`,
+    `    <published>${new Date(post.date).toISOString()}</published>`,
+    `    <updated>${new Date(post.date).toISOString()}</updated>`,
+    `    <summary>${escapeHtml(post.summary)}</summary>`,
+    ...post.tags.map((tag) => `    <category term="${escapeHtml(tag)}"/>`),
+    '  </entry>'
+  ].join('\n')),
+  '</feed>',
+  ''
+].join('\n');
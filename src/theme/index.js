@@ -0,0 +1,93 @@
+import { useEffect, useSyncExternalStore } from 'react';
+import { DEFAULT_THEME, PALETTE_KEYS, THEMES, ThemeError, resolveTheme } from './tokens.js';
+import { reportError } from '../errors/report.js';
+
+// -----------------------------------------------------------------------------
+// ACTIVE THEME
+// -----------------------------------------------------------------------------
+// `?theme=<name>` picks a built-in (dark, light) or loads a preset from
+// public/themes/<name>.json, and the pick holds for the rest of the visit
+// (client-side navigation drops the query string). Prerendered pages always
+// start dark; the requested theme is swapped in right after hydration.
+// setTheme() replaces the theme live, which is how the tuning panel edits it.
+
+const STORAGE_KEY = 'vero:theme';
+const NAME = /^[a-z0-9][a-z0-9-]*$/;
+
+let current = THEMES[DEFAULT_THEME];
+const listeners = new Set();
+
+export const getTheme = () => current;
+
+export const setTheme = (theme) => {
+  current = theme;
+  listeners.forEach((listener) => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const useTheme = () => useSyncExternalStore(subscribe, getTheme, () => THEMES[DEFAULT_THEME]);
+
+export const loadTheme = async (name) => {
+  if (THEMES[name]) return THEMES[name];
+  if (!NAME.test(name)) throw new ThemeError(`"${name}" is not a theme name`);
+
+  const response = await fetch(`/themes/${name}.json`);
+  if (!response.ok) throw new ThemeError(`theme "${name}" could not be loaded (${response.status})`);
+  return resolveTheme({ name, ...(await response.json()) }, `themes/${name}.json`);
+};
+
+const readStored = () => {
+  try {
+    return sessionStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+const store = (name) => {
+  try {
+    sessionStorage.setItem(STORAGE_KEY, name);
+  } catch {
+    // Without storage the theme lasts until the next full page load
+  }
+};
+
+export const useRequestedTheme = () => {
+  useEffect(() => {
+    const requested = new URLSearchParams(window.location.search).get('theme') || readStored();
+    if (!requested) return undefined;
+
+    let cancelled = false;
+    loadTheme(requested)
+      .then((theme) => {
+        if (cancelled) return;
+        store(requested);
+        setTheme(theme);
+      })
+      .catch((error) => reportError(error, { scope: 'theme' }));
+    return () => { cancelled = true; };
+  }, []);
+};
+
+const cssName = (key) => `--vero-${key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}`;
+
+// The palette as custom properties on :root, plus the translucent variants
+// the interface uses for hairlines, overlays and tints
+export const themeCss = ({ scheme, palette }) => `
+  :root {
+    color-scheme: ${scheme};
+    ${PALETTE_KEYS.map((key) => `${cssName(key)}: ${palette[key]};`).join('\n    ')}
+    --vero-text-soft: color-mix(in srgb, var(--vero-text) 70%, transparent);
+    --vero-line: color-mix(in srgb, var(--vero-text) 10%, transparent);
+    --vero-line-strong: color-mix(in srgb, var(--vero-text) 20%, transparent);
+    --vero-tint: color-mix(in srgb, var(--vero-text) 5%, transparent);
+    --vero-overlay: color-mix(in srgb, var(--vero-background) 94%, transparent);
+    --vero-scrim: color-mix(in srgb, var(--vero-background) 80%, transparent);
+    --vero-accent-tint: color-mix(in srgb, var(--vero-accent) 25%, transparent);
+    --vero-danger-line: color-mix(in srgb, var(--vero-danger) 40%, transparent);
+  }
+`;
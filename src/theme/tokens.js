@@ -0,0 +1,142 @@
+// -----------------------------------------------------------------------------
+// DESIGN TOKENS
+// -----------------------------------------------------------------------------
+// A theme is one palette plus the scene's look:
+//   scheme    'dark' | 'light' (native form controls and scrollbars follow it)
+//   palette   #rrggbb colours; the UI reads them as CSS custom properties
+//             (var(--vero-accent) ...), the scene reads them directly
+//   scene     glass material defaults, lighting and sparkles
+// Theme files (public/themes/<name>.json, or an export from the tuning panel)
+// name a built-in to start from with `extends` and list only what differs.
+
+export const PALETTE_KEYS = ['background', 'surface', 'text', 'textMuted', 'textSubtle', 'accent', 'onAccent', 'secondary', 'danger', 'glass'];
+// Glass values every section blends from; sections and shapes override them per key
+export const MATERIAL_KEYS = ['roughness', 'ior', 'chromaticAberration', 'thickness', 'anisotropy', 'clearcoat'];
+export const LIGHTING_KEYS = ['ambient', 'key', 'fill', 'ring'];
+export const SPARKLE_KEYS = ['size', 'speed', 'opacity', 'density'];
+export const ENVIRONMENTS = ['apartment', 'city', 'dawn', 'forest', 'lobby', 'night', 'park', 'studio', 'sunset', 'warehouse'];
+export const SCHEMES = ['dark', 'light'];
+
+const HEX = /^#[0-9a-fA-F]{6}$/;
+
+export class ThemeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ThemeError';
+  }
+}
+
+export const THEMES = {
+  dark: {
+    name: 'dark',
+    scheme: 'dark',
+    palette: {
+      background: '#050505',
+      surface: '#0b0b0b',
+      text: '#ffffff',
+      textMuted: '#9ca3af',
+      textSubtle: '#6b7280',
+      accent: '#C67C4E',
+      onAccent: '#000000',
+      secondary: '#00bcd4',
+      danger: '#ff6b6b',
+      glass: '#ffffff'
+    },
+    scene: {
+      material: { roughness: 0, ior: 1.5, chromaticAberration: 0.03, thickness: 0.25, anisotropy: 0.1, clearcoat: 1 },
+      // Extra chromatic aberration while the pointer is over (or holding) the shape
+      hoverAberration: 0.4,
+      // Intensities: `key` is the accent spot, `fill` the secondary point light, `ring` the accent lightformer
+      lighting: { environment: 'city', ambient: 0.5, key: 2, fill: 1, ring: 2 },
+      // `density` scales the quality tier's sparkle count
+      sparkles: { size: 2, speed: 0.4, opacity: 0.5, density: 1 }
+    }
+  },
+  light: {
+    name: 'light',
+    scheme: 'light',
+    palette: {
+      background: '#f3f0eb',
+      surface: '#ffffff',
+      text: '#111111',
+      textMuted: '#4b5563',
+      textSubtle: '#6b7280',
+      accent: '#a85a2f',
+      onAccent: '#ffffff',
+      secondary: '#00838f',
+      danger: '#c62828',
+      glass: '#ffffff'
+    },
+    scene: {
+      material: { roughness: 0.05, ior: 1.5, chromaticAberration: 0.03, thickness: 0.4, anisotropy: 0.1, clearcoat: 1 },
+      hoverAberration: 0.3,
+      lighting: { environment: 'studio', ambient: 0.8, key: 1.5, fill: 0.6, ring: 1.5 },
+      sparkles: { size: 2, speed: 0.4, opacity: 0.7, density: 0.6 }
+    }
+  }
+};
+
+export const DEFAULT_THEME = 'dark';
+
+const fail = (where, message) => { throw new ThemeError(`${where}: ${message}`); };
+
+const requireObject = (value, where) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) fail(where, 'must be an object');
+};
+
+// `values` may only hold numbers under `keys`
+const requireNumbers = (values, keys, where) => {
+  requireObject(values, where);
+  Object.entries(values).forEach(([key, value]) => {
+    if (!keys.includes(key)) fail(where, `unknown key "${key}" (expected one of ${keys.join(', ')})`);
+    if (typeof value !== 'number' || !Number.isFinite(value)) fail(`${where}.${key}`, 'must be a number');
+  });
+};
+
+// A complete theme from a (partial) theme file, merged onto the built-in it extends
+export const resolveTheme = (input, where = 'theme') => {
+  requireObject(input, where);
+  const base = THEMES[input.extends || DEFAULT_THEME];
+  if (!base) fail(where, `"extends" must be one of ${Object.keys(THEMES).join(', ')}`);
+  if (input.name !== undefined && (typeof input.name !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(input.name))) {
+    fail(where, '"name" must be lowercase letters, digits and dashes');
+  }
+  if (input.scheme !== undefined && !SCHEMES.includes(input.scheme)) fail(where, `"scheme" must be one of ${SCHEMES.join(', ')}`);
+
+  const palette = input.palette || {};
+  requireObject(palette, `${where}.palette`);
+  Object.entries(palette).forEach(([key, value]) => {
+    if (!PALETTE_KEYS.includes(key)) fail(`${where}.palette`, `unknown colour "${key}" (expected one of ${PALETTE_KEYS.join(', ')})`);
+    if (!HEX.test(value)) fail(`${where}.palette.${key}`, `"${value}" must be a #rrggbb hex value`);
+  });
+
+  const scene = input.scene || {};
+  requireObject(scene, `${where}.scene`);
+  const { material = {}, lighting = {}, sparkles = {}, hoverAberration } = scene;
+  requireNumbers(material, MATERIAL_KEYS, `${where}.scene.material`);
+  const { environment, ...intensities } = lighting;
+  requireNumbers(intensities, LIGHTING_KEYS, `${where}.scene.lighting`);
+  if (environment !== undefined && !ENVIRONMENTS.includes(environment)) {
+    fail(`${where}.scene.lighting.environment`, `must be one of ${ENVIRONMENTS.join(', ')}`);
+  }
+  requireNumbers(sparkles, SPARKLE_KEYS, `${where}.scene.sparkles`);
+  if (hoverAberration !== undefined && typeof hoverAberration !== 'number') fail(`${where}.scene.hoverAberration`, 'must be a number');
+
+  return {
+    name: input.name || base.name,
+    scheme: input.scheme || base.scheme,
+    palette: { ...base.palette, ...palette },
+    scene: {
+      material: { ...base.scene.material, ...material },
+      hoverAberration: hoverAberration ?? base.scene.hoverAberration,
+      lighting: { ...base.scene.lighting, ...lighting },
+      sparkles: { ...base.scene.sparkles, ...sparkles }
+    }
+  };
+};
+
+// Section colours are either hex values or palette names ("accent"), so a
+// preset recolours the glass along with the interface
+export const isColorValue = (value) => HEX.test(value) || PALETTE_KEYS.includes(value);
+
+export const resolveColor = (value, palette) => (PALETTE_KEYS.includes(value) ? palette[value] : value);
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleContact } from '../api/contact.js';
+import { BUDGETS, HONEYPOT_FIELD, MIN_FILL_MS, TIMELINES } from '../src/contact/validation.js';
+
+// Collects what would have been delivered
+const recordingTransport = () => {
+  const sent = [];
+  return { name: 'test', sent, send: async (inquiry) => { sent.push(inquiry); } };
+};
+
+const inquiry = (overrides = {}) => ({
+  name: 'Ada Lovelace',
+  email: 'ada@example.com',
+  budget: BUDGETS[0],
+  timeline: TIMELINES[0],
+  message: 'We would like a launch site for our new analytical engine.',
+  [HONEYPOT_FIELD]: '',
+  elapsed: 45000,
+  ...overrides
+});
+
+// A payload still carrying the visitor's start timestamp, as the form used to
+// send; the verdict must come from `elapsed` alone
+test('ignores a client timestamp from a clock running ahead of the server', async () => {
+  const serverNow = Date.UTC(2026, 0, 1, 12, 0, 0);
+  const clientNow = serverNow + 10 * 60 * 1000;
+  const transport = recordingTransport();
+
+  const result = await handleContact(inquiry({ startedAt: clientNow - 20000, elapsed: 20000 }), { transport, now: serverNow });
+
+  assert.deepEqual(result, { status: 200, body: { ok: true } });
+  assert.equal(transport.sent.length, 1);
+  assert.equal(transport.sent[0].receivedAt, new Date(serverNow).toISOString());
+});
+
+test('delivers an inquiry filled in exactly MIN_FILL_MS', async () => {
+  const transport = recordingTransport();
+  await handleContact(inquiry({ elapsed: MIN_FILL_MS }), { transport });
+
+  assert.equal(transport.sent.length, 1);
+});
+
+test('delivers an inquiry from a form left open for days', async () => {
+  const transport = recordingTransport();
+  await handleContact(inquiry({ elapsed: 3 * 24 * 60 * 60 * 1000 }), { transport });
+
+  assert.equal(transport.sent.length, 1);
+});
+
+test('quietly drops submissions faster than a person can type', async () => {
+  const transport = recordingTransport();
+  for (const elapsed of [800, MIN_FILL_MS - 1]) {
+    const result = await handleContact(inquiry({ elapsed }), { transport });
+    assert.deepEqual(result, { status: 200, body: { ok: true } });
+  }
+
+  assert.equal(transport.sent.length, 0);
+});
+
+test('quietly drops submissions without a usable fill time', async () => {
+  const transport = recordingTransport();
+  for (const elapsed of [undefined, null, 'soon', NaN, Infinity]) {
+    await handleContact(inquiry({ elapsed }), { transport });
+  }
+
+  assert.equal(transport.sent.length, 0);
+});
+
+test('quietly drops submissions with the honeypot filled', async () => {
+  const transport = recordingTransport();
+  const result = await handleContact(inquiry({ [HONEYPOT_FIELD]: 'https://spam.example' }), { transport });
+
+  assert.deepEqual(result, { status: 200, body: { ok: true } });
+  assert.equal(transport.sent.length, 0);
+});
@@ -1,8 +1,154 @@
-import { defineConfig } from 'vite'
+import { readFile, readdir, writeFile, mkdir } from 'node:fs/promises'
+import { createHash } from 'node:crypto'
+import path from 'node:path'
+import { createServer, defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { handleContact } from './api/contact.js'
+import { createTransport } from './api/_transports/index.js'
+import { handleEvents, createEventStore } from './api/events.js'
+
+// Wraps an api/ handler core as connect middleware for `vite dev` / `vite preview`
+const jsonRoute = (handle) => (req, res, next) => {
+  if (req.method !== 'POST') return next()
+
+  let raw = ''
+  req.on('data', (chunk) => { raw += chunk })
+  req.on('end', async () => {
+    let payload = null
+    try { payload = JSON.parse(raw) } catch { /* handled as a 400 below */ }
+
+    const { status, body } = await handle(payload)
+    res.statusCode = status
+    res.setHeader('Content-Type', 'application/json')
+    res.end(JSON.stringify(body))
+  })
+}
+
+// Serves the serverless functions locally: /api/contact writes inquiries to
+// .data/inquiries.jsonl unless CONTACT_TRANSPORT says otherwise, /api/events
+// appends analytics batches to .data/events.jsonl unless ANALYTICS_FILE does
+const localApi = () => {
+  const mount = (server) => {
+    server.middlewares.use('/api/contact', jsonRoute((payload) => handleContact(payload, {
+      transport: createTransport(process.env.CONTACT_TRANSPORT || 'file')
+    })))
+    server.middlewares.use('/api/events', jsonRoute((payload) => handleEvents(payload, {
+      store: createEventStore({ file: process.env.ANALYTICS_FILE || '.data/events.jsonl' })
+    })))
+  }
+
+  return {
+    name: 'vero-local-api',
+    configureServer: mount,
+    configurePreviewServer: mount
+  }
+}
+
+// dist/<route>.html, or dist/<route>/index.html for locale homes like /hi/
+const pageFile = (outDir, pathname) => path.join(outDir, pathname.endsWith('/') ? `${pathname.slice(1)}index.html` : `${pathname.slice(1)}.html`)
+
+// Every file under `dir` as a root-relative URL
+const listFiles = async (dir, root = dir) => {
+  const entries = await readdir(dir, { withFileTypes: true })
+  const nested = await Promise.all(entries.map((entry) => {
+    const file = path.join(dir, entry.name)
+    return entry.isDirectory() ? listFiles(file, root) : [`/${path.relative(root, file).split(path.sep).join('/')}`]
+  }))
+  return nested.flat()
+}
+
+// dist/sw.js: src/pwa/sw.js behind the build's precache list, pages and a
+// version hashed from their contents and the worker's own source. Only the app
+// shell is precached: the bundles, icons, manifest and the fonts and
+// environments in OFFLINE_ASSETS. Pages are cached as routes, and content media
+// (project posters and previews, post images, theme presets) at runtime.
+const SHELL = [/^\/assets\//, /^\/icons\//, /^\/manifest\.webmanifest$/]
+
+const writeServiceWorker = async ({ root, outDir, entry, logger }) => {
+  const files = await listFiles(outDir)
+  const missing = entry.OFFLINE_ASSETS.filter((url) => !files.includes(url))
+  if (missing.length) logger.warn(`offline assets missing, not precached (run npm run assets): ${missing.join(', ')}`)
+
+  const precache = files.filter((url) => SHELL.some((pattern) => pattern.test(url)) || entry.OFFLINE_ASSETS.includes(url))
+  const hashed = [
+    ...precache.map((url) => [url, path.join(outDir, url)]),
+    ...entry.PRERENDER_PATHS.map((pathname) => [pathname, pageFile(outDir, pathname)])
+  ]
+  const source = await readFile(path.join(root, 'src/pwa/sw.js'), 'utf8')
+  const hash = createHash('sha256').update(source)
+  for (const [url, file] of hashed) hash.update(url).update(await readFile(file))
+
+  const constants = {
+    VERSION: hash.digest('hex').slice(0, 12),
+    PRECACHE: precache,
+    PAGES: entry.PRERENDER_PATHS,
+    OFFLINE_PAGES: entry.OFFLINE_PAGES
+  }
+  const header = Object.entries(constants).map(([name, value]) => `const ${name} = ${JSON.stringify(value)};`).join('\n')
+  await writeFile(path.join(outDir, 'sw.js'), `${header}\n${source}`)
+  return { version: constants.VERSION, files: precache.length + entry.PRERENDER_PATHS.length }
+}
+
+// After `vite build`: renders every route through src/entry-server.jsx into
+// its page file (main.jsx hydrates them), keeps the empty shell as
+// dist/spa.html for the rewrite fallback, writes sitemap.xml, robots.txt and
+// the insights feeds (feed.xml, atom.xml), then the service worker that
+// caches all of it for offline use
+const prerender = () => {
+  let config
+
+  return {
+    name: 'vero-prerender',
+    apply: 'build',
+    configResolved(resolved) { config = resolved },
+    async closeBundle() {
+      if (config.build.ssr) return
+
+      const outDir = path.resolve(config.root, config.build.outDir)
+      const template = await readFile(path.join(outDir, 'index.html'), 'utf8')
+      // The built shell's generic title/description make way for each page's own
+      const shell = template
+        .replace(/<title>[\s\S]*?<\/title>\s*/, '')
+        .replace(/<meta data-page-meta[^>]*>\s*/g, '')
+
+      const server = await createServer({
+        configFile: config.configFile,
+        server: { middlewareMode: true, hmr: false },
+        appType: 'custom',
+        logLevel: 'error'
+      })
+      try {
+        const entry = await server.ssrLoadModule('/src/entry-server.jsx')
+        await writeFile(path.join(outDir, 'spa.html'), template)
+
+        for (const pathname of entry.PRERENDER_PATHS) {
+          const { html, head, lang, dir } = entry.render(pathname)
+          const page = shell
+            .replace(/<html[^>]*>/, () => `<html lang="${lang}" dir="${dir}">`)
+            .replace('</head>', () => `  ${head}\n  </head>`)
+            .replace('<div id="root"></div>', () => `<div id="root">${html}</div>`)
+          const file = pageFile(outDir, pathname)
+          await mkdir(path.dirname(file), { recursive: true })
+          await writeFile(file, page)
+        }
+
+        await writeFile(path.join(outDir, 'sitemap.xml'), entry.renderSitemap())
+        await writeFile(path.join(outDir, 'robots.txt'), entry.renderRobots())
+        await writeFile(path.join(outDir, 'feed.xml'), entry.renderRssFeed())
+        await writeFile(path.join(outDir, 'atom.xml'), entry.renderAtomFeed())
+        config.logger.info(`prerendered ${entry.PRERENDER_PATHS.length} pages, sitemap.xml, robots.txt and feeds`)
+
+        const worker = await writeServiceWorker({ root: config.root, outDir, entry, logger: config.logger })
+        config.logger.info(`sw.js ${worker.version}: ${worker.files} files cached for offline use`)
+      } finally {
+        await server.close()
+      }
+    }
+  }
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), localApi(), prerender()],
   build: {
     outDir: 'dist',
     assetsDir: 'assets',